@@ -0,0 +1,222 @@
+const vscode = require('vscode');
+const { AssetType, getVersionProperty } = require('./MarketplaceClient');
+const { selectDisplayedVersion } = require('./platform');
+const { escapeHtml, sanitizeHtml } = require('./html');
+
+const SOURCE_LINK_PROPERTY = 'Microsoft.VisualStudio.Services.Links.Source';
+
+/**
+ * Reads a statistic (e.g., 'install', 'averagerating') from a gallery extension object.
+ * @param {Object} extension The gallery extension object (requires `QueryFlags.IncludeStatistics`).
+ * @param {string} name The statistic name.
+ * @returns {number|undefined}
+ */
+function getStatistic(extension, name) {
+    return extension.statistics?.find(s => s.statisticName === name)?.value;
+}
+
+/**
+ * A webview panel showing an extension's README, changelog and marketplace statistics.
+ * Only one panel exists at a time; opening another extension reuses it.
+ */
+class ExtensionDetailPanel {
+    static viewType = 'marketplace-installer.details';
+
+    /** @type {ExtensionDetailPanel|undefined} */
+    static currentPanel = undefined;
+
+    /**
+     * Shows the details of an extension, creating the panel if needed.
+     * @param {vscode.Uri} extensionUri The URI of the extension's root directory.
+     * @param {import('./MarketplaceClient').MarketplaceClient} marketplaceClient The client used for marketplace requests.
+     * @param {string} extensionId The full ID of the extension (e.g., 'publisher.extension-name').
+     * @param {function(string): void} [log] Records failures to load or render the details.
+     */
+    static show(extensionUri, marketplaceClient, extensionId, log = () => {}) {
+        if (!ExtensionDetailPanel.currentPanel) {
+            const panel = vscode.window.createWebviewPanel(
+                ExtensionDetailPanel.viewType,
+                extensionId,
+                vscode.ViewColumn.Active,
+                {
+                    enableScripts: false, // README content is untrusted; no script may ever run
+                    localResourceRoots: [vscode.Uri.joinPath(extensionUri, 'media')]
+                }
+            );
+            ExtensionDetailPanel.currentPanel = new ExtensionDetailPanel(panel, extensionUri, marketplaceClient, log);
+        } else {
+            ExtensionDetailPanel.currentPanel._panel.reveal();
+        }
+        ExtensionDetailPanel.currentPanel.load(extensionId);
+    }
+
+    /**
+     * @param {vscode.WebviewPanel} panel The panel to render into.
+     * @param {vscode.Uri} extensionUri The URI of the extension's root directory.
+     * @param {import('./MarketplaceClient').MarketplaceClient} marketplaceClient The client used for marketplace requests.
+     * @param {function(string): void} log Records failures to load or render the details.
+     */
+    constructor(panel, extensionUri, marketplaceClient, log) {
+        this._panel = panel;
+        this._extensionUri = extensionUri;
+        this._marketplaceClient = marketplaceClient;
+        this._log = log;
+        this._extensionId = null; // Extension currently shown; used to drop outdated loads
+        this._disposables = [];
+
+        this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+    }
+
+    /**
+     * Fetches the metadata and documents of an extension and renders them.
+     * @param {string} extensionId The full ID of the extension (e.g., 'publisher.extension-name').
+     */
+    async load(extensionId) {
+        this._extensionId = extensionId;
+        this._panel.title = extensionId;
+        this._panel.webview.html = this._getHtml('<p class="info">Loading extension details...</p>');
+
+        try {
+            const extension = await this._marketplaceClient.getExtension(extensionId, { details: true });
+            const versionEntry = selectDisplayedVersion(extension.versions, this._marketplaceClient.targetPlatform);
+
+            const [readme, changelog] = await Promise.all([
+                this._marketplaceClient.getAssetText(versionEntry, AssetType.Details).catch(() => undefined),
+                this._marketplaceClient.getAssetText(versionEntry, AssetType.Changelog).catch(() => undefined)
+            ]);
+            const [readmeHtml, changelogHtml] = await Promise.all([
+                this._renderMarkdown(readme, 'This extension has no README.'),
+                this._renderMarkdown(changelog, 'This extension has no changelog.')
+            ]);
+
+            if (this._extensionId !== extensionId) {
+                return; // Another extension was opened in the meantime
+            }
+            this._panel.title = extension.displayName || extensionId;
+            this._panel.webview.html = this._getHtml(this._renderDetails(extensionId, extension, versionEntry, readmeHtml, changelogHtml));
+        } catch (error) {
+            this._log(`Could not load the details of ${extensionId}: ${error.message}`);
+            if (this._extensionId === extensionId) {
+                this._panel.webview.html = this._getHtml(`<p class="error">Could not load details of "${escapeHtml(extensionId)}": ${escapeHtml(error.message)}</p>`);
+            }
+        }
+    }
+
+    /**
+     * Renders markdown to HTML with the editor's built-in markdown renderer.
+     * The panel runs without scripts, and the rendered HTML is reduced to formatting tags (see `sanitizeHtml`) so
+     * that raw HTML in the document cannot restyle the panel or cover its stats and links.
+     * @param {string|undefined} markdown The markdown source.
+     * @param {string} emptyMessage The message shown when there is no document.
+     * @returns {Promise<string>} The HTML string.
+     */
+    async _renderMarkdown(markdown, emptyMessage) {
+        if (!markdown) {
+            return `<p class="info">${escapeHtml(emptyMessage)}</p>`;
+        }
+        try {
+            return sanitizeHtml(await vscode.commands.executeCommand('markdown.api.render', markdown));
+        } catch (error) {
+            // The built-in markdown extension may be disabled; fall back to plain text
+            this._log(`Markdown rendering unavailable, showing plain text: ${error.message}`);
+            return `<pre>${escapeHtml(markdown)}</pre>`;
+        }
+    }
+
+    /**
+     * Builds the body of the panel for a loaded extension.
+     * @param {string} extensionId The full ID of the extension.
+     * @param {Object} extension The gallery extension object.
+     * @param {Object} versionEntry The latest entry of the extension's `versions` array.
+     * @param {string} readmeHtml The rendered README.
+     * @param {string} changelogHtml The rendered changelog.
+     * @returns {string} The HTML string.
+     */
+    _renderDetails(extensionId, extension, versionEntry, readmeHtml, changelogHtml) {
+        const iconUrl = this._marketplaceClient.getAssetUrl(versionEntry, AssetType.Icon);
+        const licenseUrl = this._marketplaceClient.getAssetUrl(versionEntry, AssetType.License);
+        const repositoryUrl = getVersionProperty(versionEntry, SOURCE_LINK_PROPERTY);
+        const installs = getStatistic(extension, 'install');
+        const rating = getStatistic(extension, 'averagerating');
+        const ratingCount = getStatistic(extension, 'ratingcount');
+        const lastUpdated = extension.lastUpdated || versionEntry.lastUpdated;
+
+        const stats = [
+            ['Version', escapeHtml(versionEntry.version)],
+            ['Installs', installs !== undefined ? escapeHtml(Math.round(installs).toLocaleString()) : 'Unknown'],
+            ['Rating', rating !== undefined ? `${escapeHtml(rating.toFixed(1))} / 5 (${escapeHtml(ratingCount ?? 0)} ratings)` : 'No ratings'],
+            ['Last updated', lastUpdated ? escapeHtml(new Date(lastUpdated).toLocaleDateString()) : 'Unknown'],
+            ['Repository', repositoryUrl ? `<a href="${escapeHtml(repositoryUrl)}">${escapeHtml(repositoryUrl)}</a>` : 'Not provided'],
+            ['License', licenseUrl ? `<a href="${escapeHtml(licenseUrl)}">View license</a>` : 'Not provided'],
+            ['Categories', extension.categories?.length ? escapeHtml(extension.categories.join(', ')) : 'None'],
+            ['Marketplace', `<a href="${escapeHtml(this._marketplaceClient.getItemUrl(extensionId))}">View on the marketplace</a>`]
+        ];
+
+        return `
+            <header class="detail-header">
+                ${iconUrl ? `<img class="detail-icon" src="${escapeHtml(iconUrl)}" alt="">` : ''}
+                <div>
+                    <h1>${escapeHtml(extension.displayName || extensionId)}</h1>
+                    <p class="detail-id"><code>${escapeHtml(extensionId)}</code> &middot; ${escapeHtml(extension.publisher?.displayName)}</p>
+                    <p class="detail-description">${escapeHtml(extension.shortDescription)}</p>
+                </div>
+            </header>
+
+            <table class="detail-stats">
+                ${stats.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}
+            </table>
+
+            <!-- CSS-only tabs: the panel runs without scripts -->
+            <div class="tabs">
+                <input type="radio" name="tab" id="tab-readme" checked>
+                <label for="tab-readme">Details</label>
+                <input type="radio" name="tab" id="tab-changelog">
+                <label for="tab-changelog">Changelog</label>
+
+                <section class="tab-content markdown-body" id="content-readme">${readmeHtml}</section>
+                <section class="tab-content markdown-body" id="content-changelog">${changelogHtml}</section>
+            </div>`;
+    }
+
+    /**
+     * Wraps a body in the panel's HTML document.
+     * @param {string} body The HTML body.
+     * @returns {string} The HTML string.
+     */
+    _getHtml(body) {
+        const webview = this._panel.webview;
+        const stylesUri = webview.asWebviewUri(vscode.Uri.joinPath(this._extensionUri, 'media', 'detail.css'));
+
+        return `<!DOCTYPE html>
+			<html lang="en">
+			<head>
+				<meta charset="UTF-8">
+				<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource}; img-src https: data:;">
+				<meta name="viewport" content="width=device-width, initial-scale=1.0">
+				<link href="${stylesUri}" rel="stylesheet">
+				<title>Extension Details</title>
+			</head>
+			<body>
+                ${body}
+			</body>
+			</html>`;
+    }
+
+    /**
+     * Disposes of the panel and any resources held by it.
+     */
+    dispose() {
+        ExtensionDetailPanel.currentPanel = undefined;
+        this._panel.dispose();
+        while (this._disposables.length) {
+            const x = this._disposables.pop();
+            if (x) {
+                x.dispose();
+            }
+        }
+    }
+}
+
+module.exports = {
+    ExtensionDetailPanel
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+const STATE_KEY = 'marketplace-installer.installHistory';
+
+// Oldest entries are dropped beyond this many, so the global state stays small
+const MAX_ENTRIES = 200;
+
+/**
+ * A persistent log of the installations, updates, rollbacks and uninstallations made through this extension,
+ * kept in the global extension state for the sidebar's "History" tab.
+ */
+class InstallHistory {
+    /**
+     * @param {import('vscode').Memento} memento The global state of the extension context.
+     */
+    constructor(memento) {
+        this._memento = memento;
+    }
+
+    /**
+     * Lists the recorded entries, newest first.
+     * @returns {Array<{id: string, timestamp: string, extensionId: string, oldVersion: string|undefined,
+     * newVersion: string|undefined, source: string, outcome: string, error?: string}>}
+     */
+    list() {
+        return this._memento.get(STATE_KEY, []);
+    }
+
+    /**
+     * Looks up an entry.
+     * @param {string} id The `id` of the entry.
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this.list().find(entry => entry.id === id);
+    }
+
+    /**
+     * Records an installation attempt or an uninstallation.
+     * @param {Object} entry What happened.
+     * @param {string} entry.extensionId The full ID of the extension.
+     * @param {string} [entry.oldVersion] The version installed before, if any.
+     * @param {string} [entry.newVersion] The version installed (or attempted); undefined for uninstallations.
+     * @param {string} entry.source Where the package came from (a `Source` value, or 'cache').
+     * @param {'installed'|'failed'|'cancelled'|'uninstalled'} entry.outcome What came of it.
+     * @param {string} [entry.error] The error message, for failures.
+     * @returns {Promise<Object>} The recorded entry, with its `id` and `timestamp`.
+     */
+    async add(entry) {
+        const recorded = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...entry };
+        await this._memento.update(STATE_KEY, [recorded, ...this.list()].slice(0, MAX_ENTRIES));
+        return recorded;
+    }
+
+    /**
+     * Forgets every entry.
+     */
+    async clear() {
+        await this._memento.update(STATE_KEY, []);
+    }
+}
+
+module.exports = {
+    InstallHistory
+};
@@ -0,0 +1,118 @@
+/**
+ * Error used to reject jobs that were cancelled before or while running.
+ */
+class CancelledError extends Error {
+    constructor(message = 'Installation cancelled.') {
+        super(message);
+        this.name = 'CancelledError';
+    }
+}
+
+/**
+ * Runs installation jobs with limited concurrency. Jobs are keyed by extension ID so the same
+ * extension can never be installed twice at the same time, and each job can be cancelled.
+ */
+class InstallQueue {
+    /**
+     * @param {number} concurrency The maximum number of jobs running at the same time.
+     */
+    constructor(concurrency) {
+        this._concurrency = Math.max(1, concurrency || 1);
+        this._pending = []; // Jobs waiting for a free slot, in order
+        this._running = new Map(); // Running jobs keyed by lowercase extension ID
+    }
+
+    /**
+     * Changes the maximum number of jobs running at the same time. Takes effect for the next job started.
+     * @param {number} concurrency
+     */
+    setConcurrency(concurrency) {
+        this._concurrency = Math.max(1, concurrency || 1);
+        this._pump();
+    }
+
+    /**
+     * Tells whether a job for an extension is queued or running.
+     * @param {string} extensionId The full ID of the extension.
+     * @returns {boolean}
+     */
+    has(extensionId) {
+        const key = extensionId.toLowerCase();
+        return this._running.has(key) || this._pending.some(job => job.key === key);
+    }
+
+    /**
+     * Adds a job to the queue.
+     * @param {string} extensionId The full ID of the extension the job installs.
+     * @param {function(AbortSignal): Promise<any>} task The job; it must stop as soon as the signal is aborted.
+     * @returns {Promise<any>} Settles with the task's outcome, or rejects with a `CancelledError` if the job
+     * is cancelled before it starts.
+     */
+    enqueue(extensionId, task) {
+        return new Promise((resolve, reject) => {
+            this._pending.push({
+                key: extensionId.toLowerCase(),
+                task,
+                controller: new AbortController(),
+                resolve,
+                reject
+            });
+            this._pump();
+        });
+    }
+
+    /**
+     * Cancels the job of an extension: a queued job is dropped, a running job has its signal aborted.
+     * @param {string} extensionId The full ID of the extension.
+     * @returns {boolean} Whether there was a job to cancel.
+     */
+    cancel(extensionId) {
+        const key = extensionId.toLowerCase();
+        const index = this._pending.findIndex(job => job.key === key);
+        if (index >= 0) {
+            const [job] = this._pending.splice(index, 1);
+            job.reject(new CancelledError());
+            return true;
+        }
+        const running = this._running.get(key);
+        if (running) {
+            running.controller.abort();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Cancels every queued and running job.
+     */
+    cancelAll() {
+        for (const job of this._pending.splice(0)) {
+            job.reject(new CancelledError());
+        }
+        for (const job of this._running.values()) {
+            job.controller.abort();
+        }
+    }
+
+    /**
+     * Starts queued jobs while there are free slots.
+     */
+    _pump() {
+        while (this._running.size < this._concurrency && this._pending.length > 0) {
+            const job = this._pending.shift();
+            this._running.set(job.key, job);
+            Promise.resolve()
+                .then(() => job.task(job.controller.signal))
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    this._running.delete(job.key);
+                    this._pump();
+                });
+        }
+    }
+}
+
+module.exports = {
+    InstallQueue,
+    CancelledError
+};
@@ -0,0 +1,61 @@
+const STATE_KEY = 'marketplace-installer.installedExtensions';
+
+/**
+ * Remembers which extensions were installed through this extension, in the global extension state,
+ * so the sidebar's "Installed" tab can list and manage them.
+ */
+class InstallRegistry {
+    /**
+     * @param {import('vscode').Memento} memento The global state of the extension context.
+     */
+    constructor(memento) {
+        this._memento = memento;
+    }
+
+    /**
+     * Lists the recorded installations, sorted by extension ID.
+     * @returns {Array<{extensionId: string, version: string, source: string, installedAt: string}>}
+     */
+    list() {
+        return Object.values(this._memento.get(STATE_KEY, {}))
+            .sort((a, b) => a.extensionId.localeCompare(b.extensionId));
+    }
+
+    /**
+     * Looks up the recorded installation of an extension.
+     * @param {string} extensionId The full ID of the extension.
+     * @returns {{extensionId: string, version: string, source: string, installedAt: string}|undefined}
+     */
+    get(extensionId) {
+        return this._memento.get(STATE_KEY, {})[extensionId.toLowerCase()];
+    }
+
+    /**
+     * Records an installation, replacing any earlier record of the same extension.
+     * @param {string} extensionId The full ID of the extension.
+     * @param {string} version The installed version.
+     * @param {string} source Where the package came from (a `Source` value, or 'cache').
+     */
+    async record(extensionId, version, source) {
+        const records = { ...this._memento.get(STATE_KEY, {}) };
+        records[extensionId.toLowerCase()] = { extensionId, version, source, installedAt: new Date().toISOString() };
+        await this._memento.update(STATE_KEY, records);
+    }
+
+    /**
+     * Forgets the installation of an extension, e.g. after it was uninstalled.
+     * @param {string} extensionId The full ID of the extension.
+     */
+    async remove(extensionId) {
+        const records = { ...this._memento.get(STATE_KEY, {}) };
+        const key = extensionId.toLowerCase();
+        if (key in records) {
+            delete records[key];
+            await this._memento.update(STATE_KEY, records);
+        }
+    }
+}
+
+module.exports = {
+    InstallRegistry
+};
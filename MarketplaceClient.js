@@ -0,0 +1,455 @@
+const path = require('path');
+const fs = require('fs');
+const { createHttpClient, downloadToFile } = require('./http');
+const { getTargetPlatform, isCompatibleEntry, selectVersionEntry } = require('./platform');
+const { readZipEntry } = require('./zip');
+const { InvalidExtensionIdError, ExtensionNotFoundError, IncompatibleExtensionError } = require('./errors');
+const { isEngineCompatible } = require('./versions');
+
+/**
+ * Defaults of the gallery settings; each can be overridden through `MarketplaceClient.configure`.
+ */
+const DEFAULT_GALLERY = {
+    serviceUrl: 'https://marketplace.visualstudio.com/_apis/public/gallery',
+    itemUrl: 'https://marketplace.visualstudio.com/items',
+    // Used when the gallery response carries no asset information
+    assetUrlTemplate: 'https://{publisher}.gallery.vsassets.io/_apis/public/gallery/publisher/{publisher}/extension/{name}/{version}/assetbyname/{assetType}',
+    apiVersion: '6.0-preview.1',
+    userAgent: 'VSCode Marketplace' // Mimic VS Code's user agent
+};
+
+/**
+ * Filter types understood by the gallery `extensionquery` endpoint.
+ */
+const FilterType = {
+    Tag: 1,
+    Category: 5,
+    ExtensionName: 7, // Exact 'publisher.extension-name' lookup
+    Target: 8, // Product the extension is for, e.g. 'Microsoft.VisualStudio.Code'
+    SearchText: 10,
+    ExcludeWithFlags: 12 // Excludes extensions with any of the given flags, e.g. 4096 for unpublished
+};
+
+/**
+ * Sort keys understood by the gallery `extensionquery` endpoint.
+ */
+const SortBy = {
+    NoneOrRelevance: 0,
+    LastUpdatedDate: 1,
+    Title: 2,
+    InstallCount: 4,
+    PublishedDate: 10,
+    WeightedRating: 12
+};
+
+/**
+ * Sort orders understood by the gallery `extensionquery` endpoint.
+ */
+const SortOrder = {
+    Default: 0,
+    Ascending: 1,
+    Descending: 2
+};
+
+/**
+ * Query flags understood by the gallery `extensionquery` endpoint (combined as a bitmask).
+ */
+const QueryFlags = {
+    IncludeVersions: 0x1,
+    IncludeFiles: 0x2,
+    IncludeCategoryAndTags: 0x4,
+    IncludeVersionProperties: 0x10,
+    IncludeAssetUri: 0x80,
+    IncludeStatistics: 0x100,
+    IncludeLatestVersionOnly: 0x200
+};
+
+/**
+ * Asset types found in the `files` list of a gallery version entry.
+ */
+const AssetType = {
+    VSIXPackage: 'Microsoft.VisualStudio.Services.VSIXPackage',
+    Icon: 'Microsoft.VisualStudio.Services.Icons.Default',
+    Details: 'Microsoft.VisualStudio.Services.Content.Details', // README
+    Changelog: 'Microsoft.VisualStudio.Services.Content.Changelog',
+    License: 'Microsoft.VisualStudio.Services.Content.License',
+    Signature: 'Microsoft.VisualStudio.Services.VsixSignature', // ZIP archive holding '.signature.manifest'
+    Manifest: 'Microsoft.VisualStudio.Code.Manifest' // package.json
+};
+
+const PRE_RELEASE_PROPERTY = 'Microsoft.VisualStudio.Code.PreRelease';
+
+const ENGINE_PROPERTY = 'Microsoft.VisualStudio.Code.Engine';
+
+// Extension IDs as accepted by the marketplace: 'publisher.name', each part starting with a letter or digit
+const EXTENSION_ID_PATTERN = /^[a-z0-9][a-z0-9-]*\.[a-z0-9][a-z0-9-]*$/i;
+
+/**
+ * Tells whether a string is a valid full extension ID.
+ * @param {string} extensionId The ID to check (e.g., 'publisher.extension-name').
+ * @returns {boolean}
+ */
+function isValidExtensionId(extensionId) {
+    return typeof extensionId === 'string' && EXTENSION_ID_PATTERN.test(extensionId);
+}
+
+/**
+ * Splits a full extension ID into its publisher and extension name parts.
+ * @param {string} extensionId The full ID of the extension (e.g., 'publisher.extension-name').
+ * @returns {{publisher: string, name: string}}
+ * @throws {InvalidExtensionIdError} If the ID is not in 'publisher.extension-name' format.
+ */
+function parseExtensionId(extensionId) {
+    if (!isValidExtensionId(extensionId)) {
+        throw new InvalidExtensionIdError(extensionId);
+    }
+    const separator = extensionId.indexOf('.');
+    return {
+        publisher: extensionId.slice(0, separator),
+        name: extensionId.slice(separator + 1)
+    };
+}
+
+/**
+ * Reads a property of a gallery version entry (requires `QueryFlags.IncludeVersionProperties`).
+ * @param {Object} versionEntry An entry of the gallery extension's `versions` array.
+ * @param {string} key The property key (e.g., 'Microsoft.VisualStudio.Code.Engine').
+ * @returns {string|undefined} The property value, if present.
+ */
+function getVersionProperty(versionEntry, key) {
+    return versionEntry.properties?.find(p => p.key === key)?.value;
+}
+
+/**
+ * Tells whether a gallery version entry was published as a pre-release.
+ * @param {Object} versionEntry An entry of the gallery extension's `versions` array.
+ * @returns {boolean}
+ */
+function isPreRelease(versionEntry) {
+    return getVersionProperty(versionEntry, PRE_RELEASE_PROPERTY) === 'true';
+}
+
+/**
+ * Talks to the Visual Studio Marketplace gallery API: metadata queries and VSIX downloads.
+ */
+class MarketplaceClient {
+    /**
+     * @param {{targetPlatform?: string, hostVersion?: string, log?: function(string): void}} [options] Set
+     * `targetPlatform` to install builds for another platform than the running editor's, `hostVersion` to the editor
+     * version (`vscode.version`) to skip versions that need a newer editor, and `log` to record downloads.
+     */
+    constructor(options = {}) {
+        this.targetPlatform = options.targetPlatform || getTargetPlatform();
+        this.hostVersion = options.hostVersion;
+        this._log = options.log || (() => {});
+        this.configure({});
+    }
+
+    /**
+     * Tells whether a version entry can run on the editor, according to its `engines.vscode` range
+     * (requires `QueryFlags.IncludeVersionProperties`). Always true when no `hostVersion` is set.
+     * @param {Object} versionEntry An entry of the gallery extension's `versions` array.
+     * @returns {boolean}
+     */
+    isEngineCompatibleEntry(versionEntry) {
+        return !this.hostVersion || isEngineCompatible(getVersionProperty(versionEntry, ENGINE_PROPERTY), this.hostVersion);
+    }
+
+    /**
+     * (Re)creates the HTTP client used for every marketplace request: search, metadata, assets and downloads.
+     * @param {Object} settings The gallery and network settings; missing values use the defaults.
+     * @param {string} [settings.serviceUrl] Base URL of the gallery API (the part before `/extensionquery`).
+     * @param {string} [settings.itemUrl] URL of the gallery's extension pages (`?itemName=` is appended).
+     * @param {string} [settings.assetUrlTemplate] Asset URL with `{publisher}`, `{name}`, `{version}` and `{assetType}` placeholders.
+     * @param {string} [settings.apiVersion] The `api-version` sent in the `Accept` header.
+     * @param {Object<string, string>} [settings.headers] Extra headers sent with every request.
+     * @param {string} [settings.proxy] URL of the HTTP(S) proxy to use, if any.
+     * @param {boolean} [settings.strictSSL] Whether to reject servers with an untrusted certificate. Defaults to true.
+     * @param {string} [settings.caBundle] Path of a PEM file with extra certificate authorities to trust.
+     */
+    configure(settings) {
+        this.gallery = {
+            serviceUrl: (settings.serviceUrl || DEFAULT_GALLERY.serviceUrl).replace(/\/+$/, ''),
+            itemUrl: settings.itemUrl || DEFAULT_GALLERY.itemUrl,
+            assetUrlTemplate: settings.assetUrlTemplate || DEFAULT_GALLERY.assetUrlTemplate,
+            apiVersion: settings.apiVersion || DEFAULT_GALLERY.apiVersion
+        };
+
+        this._http = createHttpClient({
+            ...settings,
+            headers: {
+                'User-Agent': DEFAULT_GALLERY.userAgent,
+                ...settings.headers
+            }
+        });
+    }
+
+    /**
+     * Builds the URL of an extension's page on the gallery.
+     * @param {string} extensionId The full ID of the extension.
+     * @returns {string}
+     */
+    getItemUrl(extensionId) {
+        return `${this.gallery.itemUrl}?itemName=${encodeURIComponent(extensionId)}`;
+    }
+
+    /**
+     * Sends a raw query to the gallery `extensionquery` endpoint.
+     * @param {Array<Object>} criteria The filter criteria (e.g., `[{ filterType: 10, value: 'python' }]`).
+     * @param {number} flags A combination of `QueryFlags`.
+     * @param {{pageNumber?: number, pageSize?: number, sortBy?: number, sortOrder?: number, signal?: AbortSignal}} [paging]
+     * Paging and sorting options for the filter; `sortBy` and `sortOrder` take `SortBy` and `SortOrder` values.
+     * `signal` aborts the request.
+     * @returns {Promise<Object>} The first result object of the response (`extensions`, `resultMetadata`).
+     */
+    async query(criteria, flags, paging = {}) {
+        const response = await this._http.post(`${this.gallery.serviceUrl}/extensionquery`, {
+            filters: [{
+                criteria,
+                pageNumber: paging.pageNumber || 1,
+                pageSize: paging.pageSize || 50,
+                sortBy: paging.sortBy || SortBy.NoneOrRelevance,
+                sortOrder: paging.sortOrder || SortOrder.Default
+            }],
+            flags
+        }, {
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': `application/json;api-version=${this.gallery.apiVersion}`
+            },
+            signal: paging.signal
+        });
+        return response.data.results[0];
+    }
+
+    /**
+     * Fetches the gallery metadata of a single extension, including the files of its versions.
+     * @param {string} extensionId The full ID of the extension (e.g., 'publisher.extension-name').
+     * @param {{allVersions?: boolean, details?: boolean}} [options] Set `allVersions` to list every published version,
+     * not just the latest, and `details` to include statistics, categories and tags.
+     * @returns {Promise<Object>} The gallery extension object.
+     * @throws {ExtensionNotFoundError} If the extension does not exist on the marketplace.
+     */
+    async getExtension(extensionId, options = {}) {
+        parseExtensionId(extensionId); // Validate before hitting the network
+        let flags = QueryFlags.IncludeVersions | QueryFlags.IncludeFiles | QueryFlags.IncludeVersionProperties |
+            QueryFlags.IncludeAssetUri;
+        if (!options.allVersions) {
+            flags |= QueryFlags.IncludeLatestVersionOnly;
+        }
+        if (options.details) {
+            flags |= QueryFlags.IncludeStatistics | QueryFlags.IncludeCategoryAndTags;
+        }
+        const result = await this.query(
+            [{ filterType: FilterType.ExtensionName, value: extensionId }],
+            flags,
+            { pageSize: 1 }
+        );
+        const extension = result.extensions[0];
+        if (!extension || !extension.versions || extension.versions.length === 0) {
+            throw new ExtensionNotFoundError(`Extension "${extensionId}" was not found on the Visual Studio Marketplace.`);
+        }
+        return extension;
+    }
+
+    /**
+     * Looks up the latest published version of several extensions in a single gallery query.
+     * @param {string[]} extensionIds The full IDs of the extensions.
+     * @returns {Promise<Map<string, string>>} The latest version of each extension found on the marketplace, keyed by
+     * lowercase ID. Extensions whose latest version needs a newer editor are left out.
+     */
+    async getLatestVersions(extensionIds) {
+        const latest = new Map();
+        if (extensionIds.length === 0) {
+            return latest;
+        }
+        const result = await this.query(
+            extensionIds.map(id => ({ filterType: FilterType.ExtensionName, value: id })),
+            QueryFlags.IncludeVersions | QueryFlags.IncludeVersionProperties | QueryFlags.IncludeLatestVersionOnly,
+            { pageSize: extensionIds.length }
+        );
+        for (const ext of result.extensions) {
+            const entry = selectVersionEntry(ext.versions || [], this.targetPlatform);
+            if (entry && this.isEngineCompatibleEntry(entry)) {
+                latest.set(`${ext.publisher.publisherName}.${ext.extensionName}`.toLowerCase(), entry.version);
+            }
+        }
+        return latest;
+    }
+
+    /**
+     * Lists the published versions of an extension that can be installed on this platform, newest first.
+     * Platform-specific extensions publish one entry per target platform, so versions are de-duplicated.
+     * @param {string} extensionId The full ID of the extension (e.g., 'publisher.extension-name').
+     * @returns {Promise<Array<{version: string, lastUpdated: string, isPreRelease: boolean, engine: string|undefined,
+     * isEngineCompatible: boolean}>>} `engine` is the version's `engines.vscode` range.
+     */
+    async getVersions(extensionId) {
+        const extension = await this.getExtension(extensionId, { allVersions: true });
+        const seen = new Set();
+        const versions = [];
+        for (const entry of extension.versions) {
+            if (seen.has(entry.version) || !isCompatibleEntry(entry, this.targetPlatform)) {
+                continue;
+            }
+            seen.add(entry.version);
+            versions.push({
+                version: entry.version,
+                lastUpdated: entry.lastUpdated,
+                isPreRelease: isPreRelease(entry),
+                engine: getVersionProperty(entry, ENGINE_PROPERTY),
+                isEngineCompatible: this.isEngineCompatibleEntry(entry)
+            });
+        }
+        return versions;
+    }
+
+    /**
+     * Finds the gallery version entry to install for an extension on this platform and editor version.
+     * The build for this exact platform is preferred, falling back to the universal build. Without an exact
+     * version, the newest version the editor can run is picked, preferring releases over pre-releases when
+     * the latest version needs a newer editor.
+     * @param {string} extensionId The full ID of the extension (e.g., 'publisher.extension-name').
+     * @param {string} [version] The exact version to install. Defaults to the newest compatible version.
+     * @returns {Promise<Object>} The matching entry of the gallery extension's `versions` array. When an older
+     * version was picked because the latest one needs a newer editor, `skippedLatestVersion` holds the latest one.
+     * @throws {ExtensionNotFoundError|IncompatibleExtensionError} If the requested version was never published,
+     * has no build for this platform, or needs a newer editor.
+     */
+    async getVersionEntry(extensionId, version) {
+        let extension = await this.getExtension(extensionId, { allVersions: Boolean(version) });
+        let entry = selectVersionEntry(extension.versions, this.targetPlatform, version);
+        const latest = version ? undefined : entry;
+        if (!version && (!entry || !this.isEngineCompatibleEntry(entry))) {
+            // The latest release may lack a build for this platform, or need a newer editor, while an older one works
+            extension = await this.getExtension(extensionId, { allVersions: true });
+            const runnable = extension.versions.filter(v => this.isEngineCompatibleEntry(v));
+            entry = selectVersionEntry(runnable.filter(v => !isPreRelease(v)), this.targetPlatform) ||
+                selectVersionEntry(runnable, this.targetPlatform);
+            if (!entry && latest) {
+                throw new IncompatibleExtensionError(`No version of "${extensionId}" supports this editor (version ${this.hostVersion}); the latest one needs ${getVersionProperty(latest, ENGINE_PROPERTY)}.`);
+            }
+        }
+        if (!entry) {
+            const published = extension.versions.some(v => !version || v.version === version);
+            const label = version ? `Version ${version} of "${extensionId}"` : `"${extensionId}"`;
+            throw published ?
+                new IncompatibleExtensionError(`${label} has no build for this platform (${this.targetPlatform}).`) :
+                new ExtensionNotFoundError(`${label} was not found on the Visual Studio Marketplace.`);
+        }
+        if (!this.isEngineCompatibleEntry(entry)) {
+            throw new IncompatibleExtensionError(`Version ${entry.version} of "${extensionId}" needs an editor matching ${getVersionProperty(entry, ENGINE_PROPERTY)}, but this one is version ${this.hostVersion}.`);
+        }
+        return latest && latest.version !== entry.version ? { ...entry, skippedLatestVersion: latest.version } : entry;
+    }
+
+    /**
+     * Finds the URL of an asset of a gallery version entry.
+     * @param {Object} versionEntry An entry of the gallery extension's `versions` array.
+     * @param {string} assetType One of `AssetType`.
+     * @returns {string|undefined} The URL of the asset, or undefined if the version does not publish it.
+     */
+    getAssetUrl(versionEntry, assetType) {
+        return versionEntry.files?.find(f => f.assetType === assetType)?.source;
+    }
+
+    /**
+     * Downloads a text asset (README, changelog, manifest...) of a gallery version entry.
+     * @param {Object} versionEntry An entry of the gallery extension's `versions` array.
+     * @param {string} assetType One of `AssetType`.
+     * @returns {Promise<string|undefined>} The asset's content, or undefined if the version does not publish it.
+     */
+    async getAssetText(versionEntry, assetType) {
+        const url = this.getAssetUrl(versionEntry, assetType);
+        if (!url) {
+            return undefined;
+        }
+        const response = await this._http.get(url, {
+            responseType: 'text'
+        });
+        return response.data;
+    }
+
+    /**
+     * Reads the package digest from the VSIX signature archive the gallery publishes for a version.
+     * @param {Object} versionEntry An entry of the gallery extension's `versions` array.
+     * @param {AbortSignal} [signal] Aborts the request.
+     * @returns {Promise<{sha256: string, size: number|undefined}|undefined>} The hex-encoded SHA-256 digest and
+     * size of the VSIX package, or undefined if the version is not signed.
+     */
+    async getSignatureDigest(versionEntry, signal) {
+        const url = this.getAssetUrl(versionEntry, AssetType.Signature);
+        if (!url) {
+            return undefined;
+        }
+        const response = await this._http.get(url, {
+            responseType: 'arraybuffer',
+            signal
+        });
+        const manifest = readZipEntry(Buffer.from(response.data), '.signature.manifest');
+        const packageInfo = manifest ? JSON.parse(manifest.toString('utf8')).package : undefined;
+        const digest = packageInfo?.digests?.sha256;
+        if (!digest) {
+            return undefined;
+        }
+        return {
+            sha256: Buffer.from(digest, 'base64').toString('hex'),
+            size: typeof packageInfo.size === 'number' ? packageInfo.size : undefined
+        };
+    }
+
+    /**
+     * Builds the download URL of the VSIX package for a given gallery version entry.
+     * @param {string} extensionId The full ID of the extension.
+     * @param {Object} versionEntry An entry of the gallery extension's `versions` array.
+     * @returns {string} The URL of the VSIX package.
+     */
+    getVsixUrl(extensionId, versionEntry) {
+        const assetUrl = this.getAssetUrl(versionEntry, AssetType.VSIXPackage);
+        if (assetUrl) {
+            return assetUrl;
+        }
+        if (versionEntry.assetUri) {
+            return `${versionEntry.assetUri}/${AssetType.VSIXPackage}`;
+        }
+        // No asset information in the response; build the URL from the configured template
+        const { publisher, name } = parseExtensionId(extensionId);
+        const values = { publisher, name, version: versionEntry.version, assetType: AssetType.VSIXPackage };
+        return this.gallery.assetUrlTemplate.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+    }
+
+    /**
+     * Downloads the VSIX package of an extension version into a directory.
+     * The package is streamed to disk; a partially written file is removed if the download fails or is aborted.
+     * @param {string} extensionId The full ID of the extension.
+     * @param {Object} versionEntry An entry of the gallery extension's `versions` array.
+     * @param {string} destinationDir The directory to write the `.vsix` file to.
+     * @param {{signal?: AbortSignal, onProgress?: function(number, number|undefined): void}} [options]
+     * `signal` aborts the download; `onProgress` receives the bytes received so far and the total size, when known.
+     * @returns {Promise<string>} The path of the downloaded `.vsix` file.
+     */
+    async downloadVsix(extensionId, versionEntry, destinationDir, options = {}) {
+        const url = this.getVsixUrl(extensionId, versionEntry);
+        this._log(`Downloading ${extensionId}@${versionEntry.version} from ${url}`);
+
+        await fs.promises.mkdir(destinationDir, { recursive: true });
+        const platformSuffix = versionEntry.targetPlatform && versionEntry.targetPlatform !== 'universal' ?
+            `@${versionEntry.targetPlatform}` : '';
+        const filePath = path.join(destinationDir, `${extensionId}-${versionEntry.version}${platformSuffix}.vsix`);
+        return downloadToFile(this._http, url, filePath, options);
+    }
+}
+
+module.exports = {
+    MarketplaceClient,
+    FilterType,
+    SortBy,
+    SortOrder,
+    QueryFlags,
+    AssetType,
+    parseExtensionId,
+    isValidExtensionId,
+    getVersionProperty,
+    isPreRelease,
+    ENGINE_PROPERTY
+};
@@ -1,21 +1,65 @@
 const vscode = require('vscode');
 const axios = require('axios');
-// Removed: const { installExtension } = require('./extension'); 
-// installExtension will now be passed via the constructor
+const { AssetType, QueryFlags, ENGINE_PROPERTY, getVersionProperty } = require('./MarketplaceClient');
+const { ExtensionDetailPanel } = require('./ExtensionDetailPanel');
+const { findOutdatedExtensions, updateExtensions } = require('./updates');
+const { isCompatibleEntry, selectDisplayedVersion } = require('./platform');
+const { mergeResults, getTotalCount, hasMoreResults, describeSearchError } = require('./searchSources');
+const { SearchCache } = require('./SearchCache');
+const { getTrustIndicators, findLicenseWarnings } = require('./trust');
+const { parseExtensionReference } = require('./extensionLinks');
+const { CATEGORIES, SORT_OPTIONS, normalizeSearch, buildGalleryFilter, buildOpenVsxSearch } = require('./searchFilters');
+// installExtension and the other actions are passed via the constructor to avoid a circular require of './extension'
+
+const PAGE_SIZE = 50; // Number of results requested per gallery page
 
 class MarketplaceViewProvider {
     /**
      * @param {vscode.Uri} extensionUri The URI of the extension's root directory.
-     * @param {Promise<string>} installerCmdPromise A promise that resolves with the path to the vsix-to-vscodium executable.
-     * @param {function(string, string): Promise<void>} installExtensionFunction The installExtension function from extension.js.
+     * @param {import('./MarketplaceClient').MarketplaceClient} marketplaceClient The client used for marketplace requests.
+     * @param {import('./OpenVsxClient').OpenVsxClient} openVsxClient The client used for Open VSX requests.
+     * @param {Object} actions The functions from extension.js the sidebar triggers.
+     * @param {function(string, string=, Object=): Promise<Object>} actions.installExtension Installs an extension.
+     * @param {function(Array<Object>): Promise<Array<Object>>} actions.installMany Installs several extensions with one
+     * progress notification and one summary.
+     * @param {function(string): Promise<void>} actions.installAnotherVersion Asks for a version of an extension and installs it.
+     * @param {function(string): void} actions.cancelInstallation Cancels the queued or running installation of an extension.
+     * @param {function(): Promise<Array<Object>>} actions.listManagedExtensions Lists the extensions installed through this tool.
+     * @param {function(string): Promise<boolean>} actions.uninstallExtension Asks for confirmation and uninstalls an extension.
+     * @param {function(): Array<Object>} actions.listHistory Lists the install history, newest first.
+     * @param {function(string): Promise<Object|undefined>} actions.rollBack Reinstalls the version an extension had
+     * before a history entry.
+     * @param {function(): Promise<boolean>} actions.clearHistory Asks for confirmation and clears the install history.
+     * @param {function(string): void} actions.log Appends a line to the *Marketplace Installer* output channel.
      */
-    constructor(extensionUri, installerCmdPromise, installExtensionFunction) {
+    constructor(extensionUri, marketplaceClient, openVsxClient, actions) {
         this._extensionUri = extensionUri;
-        this._installerCmdPromise = installerCmdPromise;
-        this._installExtension = installExtensionFunction; // Store the passed function
+        this._marketplaceClient = marketplaceClient;
+        this._openVsxClient = openVsxClient;
+        this._installExtension = actions.installExtension; // Passed in to avoid a circular require of './extension'
+        this._installMany = actions.installMany;
+        this._installAnotherVersion = actions.installAnotherVersion;
+        this._cancelInstallation = actions.cancelInstallation;
+        this._listManagedExtensions = actions.listManagedExtensions;
+        this._uninstallExtension = actions.uninstallExtension;
+        this._listHistory = actions.listHistory;
+        this._rollBack = actions.rollBack;
+        this._clearHistory = actions.clearHistory;
+        this._log = actions.log;
         this._view = null; // Reference to the webview panel
         this._disposables = []; // To manage event listeners
         this._onDidResolveWebviewViewCallbacks = []; // Callbacks for when _view is resolved
+        this._currentSearch = null; // Search (query, filters and sort) of the results currently shown in the webview
+        this._currentPage = 0; // Last page fetched for the current query
+        this._totalCount = 0; // Total number of results reported by the gallery for the current query
+        this._isLoadingPage = false; // Guards against overlapping "load more" requests
+        this._searchController = null; // Aborts the requests of the current search when a newer one starts
+        this._searchSequence = 0; // Incremented for every search, so responses to older ones are dropped
+        this._searchCache = new SearchCache(); // Recent result pages, so retyping a query is instant
+        this._shownIds = new Set(); // Lowercase IDs of the results shown for the current query, across sources
+        this._outdatedExtensions = []; // Result of the last update check
+        this._recommendations = []; // Workspace recommendations that are not installed
+        this._managedExtensions = []; // Extensions installed through this tool, as last shown in the "Installed" tab
     }
 
     /**
@@ -47,6 +91,10 @@ class MarketplaceViewProvider {
 
         // Set the HTML content for the webview
         webviewView.webview.html = this._getHtmlForWebview(webviewView.webview);
+        if (this._recommendations.length > 0) {
+            // Found before the view was opened
+            webviewView.webview.postMessage({ type: 'showRecommendations', value: this._recommendations });
+        }
 
         // Handle messages received from the webview (e.g., search queries, install requests)
         webviewView.webview.onDidReceiveMessage(
@@ -54,17 +102,73 @@ class MarketplaceViewProvider {
                 console.log('MarketplaceViewProvider: Received message from webview:', message); // Debugging
                 switch (message.type) {
                     case 'search':
-                        this.searchMarketplace(message.value);
+                        this.searchMarketplace(message.value, message.filters, { live: message.live });
+                        break;
+                    case 'loadMore':
+                        this.loadMoreResults();
                         break;
                     case 'install':
-                        // Await the installer command path before calling installExtension
-                        const installerCmd = await this._installerCmdPromise;
-                        if (!installerCmd) {
-                            vscode.window.showErrorMessage('Installer tool is not ready. Please wait for setup to complete.');
-                            return;
-                        }
                         // Use the function passed in the constructor
-                        this._installExtension(message.value, installerCmd);
+                        this._installExtension(message.value, undefined, { source: message.source });
+                        break;
+                    case 'installSelected':
+                        // One batch, so there is a single notification and reload prompt for all of them
+                        this._installMany(message.value.map(item => ({ extensionId: item.extensionId, source: item.source })));
+                        break;
+                    case 'installVersion':
+                        this._installAnotherVersion(message.value);
+                        break;
+                    case 'cancelInstall':
+                        this._cancelInstallation(message.value);
+                        break;
+                    case 'checkUpdates':
+                        this.checkForUpdates().catch(() => { /* Already reported in the webview */ });
+                        break;
+                    case 'update': {
+                        const update = this._outdatedExtensions.find(u => u.extensionId === message.value);
+                        if (update) {
+                            this._installExtension(update.extensionId, update.latestVersion);
+                        }
+                        break;
+                    }
+                    case 'updateAll':
+                        updateExtensions(this._outdatedExtensions, this._installMany);
+                        break;
+                    case 'installAllRecommendations':
+                        this.installRecommendations();
+                        break;
+                    case 'showDetails':
+                        ExtensionDetailPanel.show(this._extensionUri, this._marketplaceClient, message.value, this._log);
+                        break;
+                    case 'getInstalled':
+                        this.showInstalled();
+                        break;
+                    case 'reinstall': {
+                        const managed = this._managedExtensions.find(ext => ext.extensionId === message.value);
+                        if (managed) {
+                            this._installExtension(managed.extensionId, managed.installedVersion, { source: managed.source });
+                        }
+                        break;
+                    }
+                    case 'uninstall':
+                        if (await this._uninstallExtension(message.value)) {
+                            this.showInstalled();
+                        }
+                        break;
+                    case 'getHistory':
+                        this.showHistory();
+                        break;
+                    case 'rollBack':
+                        await this._rollBack(message.value);
+                        this.showHistory();
+                        break;
+                    case 'clearHistory':
+                        if (await this._clearHistory()) {
+                            this.showHistory();
+                        }
+                        break;
+                    case 'openInExtensionsView':
+                        vscode.commands.executeCommand('extension.open', message.value);
                         break;
                 }
             },
@@ -74,77 +178,210 @@ class MarketplaceViewProvider {
     }
 
     /**
-     * Performs a search on the VS Code Marketplace API.
+     * Performs a search on the VS Code Marketplace API, starting again from the first page.
+     * Without a query, category or tag, shows the "Popular" (or "Recently updated") landing view.
      * @param {string} query The search term.
+     * @param {{category?: string, tag?: string, sort?: string}} [filters] The category and tag to filter by,
+     * and a key of `SORT_OPTIONS`.
+     * @param {{live?: boolean}} [options] Set `live` for searches run while typing, whose errors are only shown
+     * in the sidebar rather than as notifications.
      */
-    async searchMarketplace(query) {
+    async searchMarketplace(query, filters = {}, options = {}) {
         if (!this._view) {
             console.error('MarketplaceViewProvider: Webview view is not initialized.');
             return;
         }
-        if (!query) {
-            this._view.webview.postMessage({ type: 'showInfo', message: 'Please enter a search term.' });
-            return;
-        }
 
-        console.log(`MarketplaceViewProvider: Searching marketplace for: "${query}"`); // Debugging
+        // A pasted marketplace URL or vscode:extension/ link searches for the extension it points to
+        const reference = parseExtensionReference(query);
+        const search = normalizeSearch({ ...filters, query: reference?.isLink ? reference.extensionId : query });
+        console.log('MarketplaceViewProvider: Searching marketplace for:', search); // Debugging
+        // Responses to the previous search would only be dropped; stop waiting for them
+        this._searchController?.abort();
+        this._searchController = new AbortController();
+        this._searchSequence++;
+        this._currentSearch = search;
+        this._currentPage = 0;
+        this._totalCount = 0;
+        this._shownIds = new Set();
         this._view.webview.postMessage({ type: 'setLoading' }); // Inform webview to show loading state
 
+        await this._fetchPage(search, 1, options.live);
+    }
+
+    /**
+     * Fetches the next page of results for the current query and appends it in the webview.
+     */
+    async loadMoreResults() {
+        if (!this._view || !this._currentSearch || this._isLoadingPage) {
+            return;
+        }
+        if (!hasMoreResults(this._currentPage, PAGE_SIZE, this._totalCount)) {
+            console.log('MarketplaceViewProvider: No more results to load.'); // Debugging
+            return;
+        }
+        await this._fetchPage(this._currentSearch, this._currentPage + 1);
+    }
+
+    /**
+     * Requests one page of search results from the Visual Studio Marketplace and, unless disabled, Open VSX,
+     * merges them by extension ID and posts them to the webview.
+     * Pages are served from the search cache when they were fetched recently. Pages of a search that was
+     * replaced by a newer one while loading are dropped.
+     * @param {Object} search The search, as returned by `normalizeSearch`.
+     * @param {number} pageNumber The 1-based page to request.
+     * @param {boolean} [live] Whether the search runs while typing; see `searchMarketplace`.
+     */
+    async _fetchPage(search, pageNumber, live) {
+        const sequence = this._searchSequence;
+        const signal = this._searchController.signal;
+        this._isLoadingPage = true;
         try {
-            const response = await axios.post('https://marketplace.visualstudio.com/_apis/public/gallery/extensionquery', {
-                filters: [{
-                    criteria: [{
-                        filterType: 10, // Keeping filterType at 10 (Search Text)
-                        value: query
-                    }],
-                    pageNumber: 1, // Added pagination: Request the first page
-                    pageSize: 50   // Added pagination: Request 50 results per page
-                }],
-                flags: 71 // Reverted flags to 71 for a more stable set of data
-            }, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json;api-version=6.0-preview.1', // Keeping updated API version
-                    'User-Agent': 'VSCode Marketplace' // Mimic VS Code's user agent
+            const openVsxEnabled = vscode.workspace.getConfiguration('marketplace-installer').get('openVsx.enabled', true);
+            // The gallery URLs are part of the key, so changing them in the settings never shows stale results
+            const cacheKey = JSON.stringify([this._marketplaceClient.gallery.serviceUrl, openVsxEnabled && this._openVsxClient.url, search, pageNumber]);
+            let pages = this._searchCache.get(cacheKey);
+            if (pages) {
+                console.log(`MarketplaceViewProvider: Using cached page ${pageNumber} of "${search.query}".`); // Debugging
+            } else {
+                const { criteria, sortBy, sortOrder } = buildGalleryFilter(search);
+                pages = await Promise.allSettled([
+                    this._marketplaceClient.query(
+                        criteria,
+                        // Keeping flags at 71 for a more stable set of data, plus the version properties for engine checks.
+                        // The extension and publisher flags (preview, verified domain...) come with every result.
+                        71 | QueryFlags.IncludeVersionProperties,
+                        { pageNumber, pageSize: PAGE_SIZE, sortBy, sortOrder, signal }
+                    ),
+                    openVsxEnabled ?
+                        this._openVsxClient.search(buildOpenVsxSearch(search), { offset: (pageNumber - 1) * PAGE_SIZE, size: PAGE_SIZE, signal }) :
+                        Promise.resolve({ totalCount: 0, extensions: [] })
+                ]);
+                // Partial results are not cached, so the failed source is retried next time
+                if (pages.every(page => page.status === 'fulfilled')) {
+                    this._searchCache.set(cacheKey, pages);
                 }
-            });
+            }
+
+            if (sequence !== this._searchSequence) {
+                console.log(`MarketplaceViewProvider: Dropping page ${pageNumber} of outdated query "${search.query}".`); // Debugging
+                return;
+            }
+            const [marketplaceResult, openVsxResult] = pages;
+
+            // One source is enough to show results
+            if (marketplaceResult.status === 'rejected' && (!openVsxEnabled || openVsxResult.status === 'rejected')) {
+                throw marketplaceResult.reason;
+            }
+            let sourceNotice;
+            if (marketplaceResult.status === 'rejected') {
+                console.warn('MarketplaceViewProvider: Marketplace search failed, showing Open VSX results only:', marketplaceResult.reason); // Debugging
+                sourceNotice = 'The Visual Studio Marketplace could not be reached; showing Open VSX results only.';
+            } else if (openVsxResult.status === 'rejected') {
+                console.warn('MarketplaceViewProvider: Open VSX search failed, showing marketplace results only:', openVsxResult.reason); // Debugging
+                sourceNotice = 'Open VSX could not be reached; showing Visual Studio Marketplace results only.';
+            }
+
+            const results = marketplaceResult.status === 'fulfilled' ? marketplaceResult.value.extensions : [];
+            const openVsxPage = openVsxResult.status === 'fulfilled' ? openVsxResult.value : { totalCount: 0, extensions: [] };
+            const marketplaceTotal = marketplaceResult.status === 'fulfilled' ?
+                getTotalCount(marketplaceResult.value, pageNumber, PAGE_SIZE) : 0;
+            const totalCount = Math.max(marketplaceTotal, openVsxPage.totalCount);
+            console.log(`MarketplaceViewProvider: Found ${results.length} marketplace and ${openVsxPage.extensions.length} Open VSX extensions on page ${pageNumber} (${totalCount} total).`); // Debugging
 
-            const results = response.data.results[0].extensions;
-            console.log(`MarketplaceViewProvider: Found ${results.length} extensions.`); // Debugging
+            this._currentPage = pageNumber;
+            this._totalCount = totalCount;
 
             // Get currently installed extensions to check against search results
             const installedExtensions = vscode.extensions.all.map(ext => ext.id.toLowerCase());
 
             // Map results to a simpler format for the webview and add installation status
-            const formattedExtensions = results.map(ext => ({
+            const targetPlatform = this._marketplaceClient.targetPlatform;
+            // Licenses are only known once the manifest is downloaded, so results are flagged by publisher and ID
+            const warnedPublishers = vscode.workspace.getConfiguration('marketplace-installer').get('licenseWarnings.publishers', []);
+            const marketplaceExtensions = results.map(ext => {
+                const versions = ext.versions || [];
+                const versionEntry = selectDisplayedVersion(versions, targetPlatform) || {};
+                const extensionId = `${ext.publisher.publisherName}.${ext.extensionName}`;
+                return {
+                    ...getTrustIndicators(ext),
+                    licenseUrl: this._marketplaceClient.getAssetUrl(versionEntry, AssetType.License),
+                    hasLicenseWarning: findLicenseWarnings({ extensionId }, { publishers: warnedPublishers }).length > 0,
+                    displayName: ext.displayName,
+                    publisherDisplayName: ext.publisher.displayName,
+                    shortDescription: ext.shortDescription,
+                    extensionId, // Full ID for installation
+                    version: versionEntry.version,
+                    iconUrl: this._marketplaceClient.getAssetUrl(versionEntry, AssetType.Icon) || '', // Get default icon
+                    isInstalled: installedExtensions.includes(extensionId.toLowerCase()), // Check if installed
+                    // Platform-specific extensions may not publish a build (or a universal one) for this platform
+                    isPlatformSupported: versions.length === 0 || versions.some(v => isCompatibleEntry(v, targetPlatform)),
+                    // An older version is installed instead, so the extension stays installable
+                    engine: getVersionProperty(versionEntry, ENGINE_PROPERTY),
+                    isEngineCompatible: !versionEntry.version || this._marketplaceClient.isEngineCompatibleEntry(versionEntry)
+                };
+            });
+            const openVsxExtensions = openVsxPage.extensions.map(ext => ({
                 displayName: ext.displayName,
-                publisherDisplayName: ext.publisher.displayName,
-                shortDescription: ext.shortDescription,
-                extensionId: `${ext.publisher.publisherName}.${ext.extensionName}`, // Full ID for installation
-                iconUrl: ext.versions[0]?.files?.find(f => f.assetType === 'Microsoft.VisualStudio.Services.Icons.Default')?.source || '', // Get default icon
-                isInstalled: installedExtensions.includes(`${ext.publisher.publisherName}.${ext.extensionName}`.toLowerCase()) // Check if installed
+                publisherDisplayName: ext.publisherDisplayName,
+                shortDescription: ext.description,
+                extensionId: ext.extensionId,
+                version: ext.version,
+                iconUrl: ext.iconUrl || '',
+                isInstalled: installedExtensions.includes(ext.extensionId.toLowerCase()),
+                isPlatformSupported: true, // Checked when installing; the search API does not list platforms
+                isEngineCompatible: true // Likewise for engines
             }));
+            const formattedExtensions = mergeResults(marketplaceExtensions, openVsxExtensions, this._shownIds);
 
-            this._view.webview.postMessage({ type: 'showResults', value: formattedExtensions });
+            this._view.webview.postMessage({
+                type: 'showResults',
+                value: formattedExtensions,
+                append: pageNumber > 1, // Keep already-rendered pages
+                targetPlatform,
+                totalCount,
+                hostVersion: vscode.version,
+                hasMore: hasMoreResults(pageNumber, PAGE_SIZE, totalCount),
+                sourceNotice,
+                // The landing view offers to switch between its two sort orders
+                landing: search.isLanding ? search.sort : undefined
+            });
 
         } catch (error) {
+            if (sequence !== this._searchSequence || axios.isCancel(error)) {
+                return; // Aborted, or replaced by a newer search
+            }
             console.error('MarketplaceViewProvider: Marketplace search failed:', error); // Debugging
-            let errorMessage = 'Search failed. Please check your internet connection or try a different search term.';
-            if (axios.isAxiosError(error)) {
-                if (error.response) {
-                    if (error.response.status === 404) {
-                        errorMessage = 'Marketplace API endpoint not found or changed. This extension may need an update.';
-                    } else if (error.response.status === 400) {
-                        errorMessage = 'Invalid search request. The marketplace API might have changed its expected parameters.';
-                    } else if (error.response.status === 500) {
-                        errorMessage = 'Internal server error from Marketplace API. Please try again later.';
-                    }
-                } else if (error.request) {
-                    errorMessage = 'Network error during search. Check your internet connection.';
-                }
+            const message = describeSearchError(error, pageNumber);
+            if (!live) {
+                // While typing, a notification per keystroke would be noise; the sidebar shows the error anyway
+                vscode.window.showErrorMessage(`Marketplace search failed: ${message.value}`);
+            }
+            this._view.webview.postMessage(message);
+        } finally {
+            // A newer search has its own page loading by now
+            if (sequence === this._searchSequence) {
+                this._isLoadingPage = false;
             }
-            vscode.window.showErrorMessage(`Marketplace search failed: ${errorMessage}`);
-            this._view.webview.postMessage({ type: 'showError', value: errorMessage });
+        }
+    }
+
+    /**
+     * Compares installed extensions with the marketplace and shows the outdated ones in the "Updates" section.
+     * @returns {Promise<Array<{extensionId: string, displayName: string, currentVersion: string, latestVersion: string}>>}
+     * The outdated extensions.
+     */
+    async checkForUpdates() {
+        this._view?.webview.postMessage({ type: 'setUpdatesLoading' });
+        try {
+            this._outdatedExtensions = await findOutdatedExtensions(this._marketplaceClient, this._log);
+            console.log(`MarketplaceViewProvider: ${this._outdatedExtensions.length} extension updates available.`); // Debugging
+            this._view?.webview.postMessage({ type: 'showUpdates', value: this._outdatedExtensions });
+            return this._outdatedExtensions;
+        } catch (error) {
+            console.error('MarketplaceViewProvider: Update check failed:', error); // Debugging
+            this._view?.webview.postMessage({ type: 'showUpdatesError', value: `Update check failed: ${error.message}` });
+            throw error;
         }
     }
 
@@ -174,13 +411,73 @@ class MarketplaceViewProvider {
 				<title>Marketplace Search</title>
 			</head>
 			<body>
-                <div class="search-container">
-				    <input type="text" id="search-input" placeholder="Search extensions..." aria-label="Search extensions"/>
-                    <button id="search-button">Search</button>
+                <div class="view-tabs" role="tablist">
+                    <button class="view-tab active" data-tab="marketplace-tab" role="tab">Marketplace</button>
+                    <button class="view-tab" data-tab="installed-tab" role="tab">Installed</button>
+                    <button class="view-tab" data-tab="history-tab" role="tab">History</button>
                 </div>
 
-                <div id="results-container">
-                    <p id="info-message">Enter a search term to find extensions.</p>
+                <div id="history-tab" class="tab-panel" hidden>
+                    <div class="section-header">
+                        <h2>Install History</h2>
+                        <button id="clear-history-button" class="section-button">Clear</button>
+                    </div>
+                    <div id="history-container"></div>
+                </div>
+
+                <div id="installed-tab" class="tab-panel" hidden>
+                    <div class="section-header">
+                        <h2>Installed with Marketplace Installer</h2>
+                        <button id="refresh-installed-button" class="section-button">Refresh</button>
+                    </div>
+                    <div id="installed-container"></div>
+                </div>
+
+                <div id="marketplace-tab" class="tab-panel">
+                    <div id="updates-section">
+                        <div class="section-header">
+                            <h2>Updates</h2>
+                            <button id="update-all-button" class="section-button" hidden>Update All</button>
+                            <button id="check-updates-button" class="section-button">Check</button>
+                        </div>
+                        <div id="updates-container">
+                            <p class="section-info">Check for newer marketplace versions of your extensions.</p>
+                        </div>
+                    </div>
+
+                    <div id="recommendations-section" hidden>
+                        <div class="section-header">
+                            <h2>Workspace Recommendations</h2>
+                            <button id="install-recommendations-button" class="section-button">Install All</button>
+                        </div>
+                        <div id="recommendations-container"></div>
+                    </div>
+
+                    <div class="search-container">
+    				    <input type="text" id="search-input" placeholder="Search extensions..." aria-label="Search extensions"/>
+                        <button id="search-button">Search</button>
+                    </div>
+
+                    <div class="filter-container">
+                        <select id="category-select" aria-label="Category">
+                            <option value="">All categories</option>
+                            ${CATEGORIES.map(category => `<option value="${category}">${category}</option>`).join('')}
+                        </select>
+                        <input type="text" id="tag-input" placeholder="Tag" aria-label="Tag"/>
+                        <select id="sort-select" aria-label="Sort by">
+                            ${Object.entries(SORT_OPTIONS).map(([key, option]) => `<option value="${key}">${option.label}</option>`).join('')}
+                        </select>
+                    </div>
+
+                    <div id="selection-bar" hidden>
+                        <span id="selection-count"></span>
+                        <button id="install-selected-button" class="section-button">Install Selected</button>
+                        <button id="clear-selection-button" class="section-button">Clear</button>
+                    </div>
+
+                    <div id="results-container">
+                        <p id="info-message">Loading popular extensions...</p>
+                    </div>
                 </div>
 
 				<script nonce="${nonce}" src="${scriptUri}"></script>
@@ -188,6 +485,54 @@ class MarketplaceViewProvider {
 			</html>`;
     }
 
+    /**
+     * Lists the extensions installed through this tool in the "Installed" tab.
+     * @returns {Promise<void>}
+     */
+    async showInstalled() {
+        this._view?.webview.postMessage({ type: 'setInstalledLoading' });
+        try {
+            this._managedExtensions = await this._listManagedExtensions();
+            this._view?.webview.postMessage({ type: 'showInstalled', value: this._managedExtensions });
+        } catch (error) {
+            console.error('MarketplaceViewProvider: Could not list installed extensions:', error); // Debugging
+            this._view?.webview.postMessage({ type: 'showInstalledError', value: `Could not list installed extensions: ${error.message}` });
+        }
+    }
+
+    /**
+     * Shows the install history in the "History" tab.
+     * @param {{reveal?: boolean}} [options] Set `reveal` to switch the sidebar to the tab.
+     */
+    showHistory(options = {}) {
+        if (options.reveal) {
+            this._view?.webview.postMessage({ type: 'showTab', value: 'history-tab' });
+        }
+        this._view?.webview.postMessage({ type: 'showHistory', value: this._listHistory() });
+    }
+
+    /**
+     * Shows the workspace recommendations that are not installed in the "Recommended" section.
+     * @param {Array<{extensionId: string, latestVersion: string|undefined, isAvailable: boolean}>} recommendations
+     * The missing recommendations; the section is hidden when there are none.
+     */
+    showRecommendations(recommendations) {
+        this._recommendations = recommendations;
+        this._view?.webview.postMessage({ type: 'showRecommendations', value: recommendations });
+    }
+
+    /**
+     * Installs every missing workspace recommendation that is published on the marketplace, as one batch with a
+     * single progress notification and summary.
+     * @returns {Promise<void>}
+     */
+    async installRecommendations() {
+        const installable = this._recommendations.filter(recommendation => recommendation.isAvailable);
+        if (installable.length > 0) {
+            await this._installMany(installable.map(recommendation => ({ extensionId: recommendation.extensionId })));
+        }
+    }
+
     /**
      * Generates a random string for Content Security Policy (CSP) nonce.
      * @returns {string} A random string.
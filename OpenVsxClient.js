@@ -0,0 +1,227 @@
+const path = require('path');
+const fs = require('fs');
+const { createHttpClient, downloadToFile } = require('./http');
+const { parseExtensionId } = require('./MarketplaceClient');
+const { getTargetPlatform } = require('./platform');
+const { ExtensionNotFoundError, IncompatibleExtensionError } = require('./errors');
+const { compareVersions, isEngineCompatible } = require('./versions');
+
+const DEFAULT_URL = 'https://open-vsx.org';
+
+// Older versions to try when the latest one needs a newer editor; each costs a metadata request
+const MAX_STEP_BACK = 10;
+
+/**
+ * A client for the Open VSX registry's REST API (https://open-vsx.org/swagger-ui).
+ * Version entries it returns can be passed to `downloadVsix` and `getSignatureDigest`, like the gallery
+ * version entries of `MarketplaceClient`, so both sources share the same install path.
+ */
+class OpenVsxClient {
+    /**
+     * @param {{targetPlatform?: string, hostVersion?: string, log?: function(string): void}} [options] Set
+     * `targetPlatform` to install builds for another platform than the running editor's, `hostVersion` to the editor
+     * version (`vscode.version`) to skip versions that need a newer editor, and `log` to record downloads.
+     */
+    constructor(options = {}) {
+        this.targetPlatform = options.targetPlatform || getTargetPlatform();
+        this.hostVersion = options.hostVersion;
+        this._log = options.log || (() => {});
+        this.configure({});
+    }
+
+    /**
+     * (Re)creates the HTTP client used for every registry request.
+     * @param {Object} settings The registry and network settings; missing values use the defaults.
+     * @param {string} [settings.url] Base URL of the registry. Defaults to https://open-vsx.org.
+     * @param {string} [settings.proxy] URL of the HTTP(S) proxy to use, if any.
+     * @param {boolean} [settings.strictSSL] Whether to reject servers with an untrusted certificate. Defaults to true.
+     * @param {string} [settings.caBundle] Path of a PEM file with extra certificate authorities to trust.
+     */
+    configure(settings) {
+        this.url = (settings.url || DEFAULT_URL).replace(/\/+$/, '');
+        // Gallery headers may carry credentials for the Microsoft gallery or a mirror; they are not sent here
+        this._http = createHttpClient({ proxy: settings.proxy, strictSSL: settings.strictSSL, caBundle: settings.caBundle });
+    }
+
+    /**
+     * Builds the URL of an extension's page on the registry.
+     * @param {string} extensionId The full ID of the extension.
+     * @returns {string}
+     */
+    getItemUrl(extensionId) {
+        const { publisher, name } = parseExtensionId(extensionId);
+        return `${this.url}/extension/${encodeURIComponent(publisher)}/${encodeURIComponent(name)}`;
+    }
+
+    /**
+     * Searches the registry.
+     * @param {{query?: string, category?: string, sortBy?: string, sortOrder?: string}} search The search text,
+     * an optional category, and the sort key ('relevance', 'timestamp', 'averageRating' or 'downloadCount') and
+     * order ('asc' or 'desc').
+     * @param {{offset?: number, size?: number, signal?: AbortSignal}} [paging] The number of results to skip and to
+     * return; `signal` aborts the request.
+     * @returns {Promise<{totalCount: number, extensions: Array<{extensionId: string, version: string,
+     * displayName: string, description: string, publisherDisplayName: string, iconUrl: string|undefined}>}>}
+     */
+    async search(search, paging = {}) {
+        const response = await this._http.get(`${this.url}/api/-/search`, {
+            params: {
+                query: search.query || undefined,
+                category: search.category,
+                sortBy: search.sortBy,
+                sortOrder: search.sortOrder,
+                offset: paging.offset || 0,
+                size: paging.size || 50
+            },
+            signal: paging.signal
+        });
+        return {
+            totalCount: response.data.totalSize || 0,
+            extensions: (response.data.extensions || []).map(ext => ({
+                extensionId: `${ext.namespace}.${ext.name}`,
+                version: ext.version,
+                displayName: ext.displayName || ext.name,
+                description: ext.description || '',
+                publisherDisplayName: ext.namespace,
+                iconUrl: ext.files?.icon
+            }))
+        };
+    }
+
+    /**
+     * Finds the build of an extension version to install on the current platform and editor version.
+     * The platform-specific build is preferred; otherwise the universal one is used. Without an exact version,
+     * older releases are tried when the latest one needs a newer editor.
+     * @param {string} extensionId The full ID of the extension.
+     * @param {string} [version] The exact version. Defaults to the newest compatible version.
+     * @returns {Promise<{version: string, targetPlatform: string, downloadUrl: string, sha256Url: string|undefined,
+     * skippedLatestVersion?: string}>} `skippedLatestVersion` is set when an older version was picked because the
+     * latest one needs a newer editor.
+     * @throws {ExtensionNotFoundError|IncompatibleExtensionError} If the registry has no such extension or version,
+     * no build for this platform, or none for this editor version.
+     */
+    async getVersionEntry(extensionId, version) {
+        const metadata = await this._getVersionMetadata(extensionId, version);
+        const engine = metadata.engines?.vscode;
+        if (!this.hostVersion || isEngineCompatible(engine, this.hostVersion)) {
+            return this._toVersionEntry(extensionId, metadata);
+        }
+        if (version) {
+            throw new IncompatibleExtensionError(`Version ${version} of "${extensionId}" needs an editor matching ${engine}, but this one is version ${this.hostVersion}.`);
+        }
+
+        // Newest first; 'latest' and 'pre-release' are aliases of published versions
+        const olderVersions = Object.keys(metadata.allVersions || {})
+            .filter(v => /^\d/.test(v) && compareVersions(v, metadata.version) < 0)
+            .sort((a, b) => compareVersions(b, a))
+            .slice(0, MAX_STEP_BACK);
+        for (const olderVersion of olderVersions) {
+            const older = await this._getVersionMetadata(extensionId, olderVersion).catch(() => undefined);
+            if (older && !older.preRelease && isEngineCompatible(older.engines?.vscode, this.hostVersion)) {
+                return { ...this._toVersionEntry(extensionId, older), skippedLatestVersion: metadata.version };
+            }
+        }
+        throw new IncompatibleExtensionError(`No recent version of "${extensionId}" on Open VSX supports this editor (version ${this.hostVersion}); the latest one needs ${engine}.`);
+    }
+
+    /**
+     * Fetches the metadata of an extension version, preferring the build for the current platform.
+     * @param {string} extensionId The full ID of the extension.
+     * @param {string} [version] The exact version. Defaults to the latest version.
+     * @returns {Promise<Object>} The registry's metadata of the version.
+     * @throws {ExtensionNotFoundError} If the registry has no such extension or version.
+     */
+    async _getVersionMetadata(extensionId, version) {
+        const { publisher, name } = parseExtensionId(extensionId);
+        const base = `${this.url}/api/${encodeURIComponent(publisher)}/${encodeURIComponent(name)}`;
+        const suffix = version ? `/${encodeURIComponent(version)}` : '';
+
+        let metadata = await this._getMetadata(`${base}/${this.targetPlatform}${suffix}`);
+        if (!metadata) {
+            metadata = await this._getMetadata(`${base}${suffix}`);
+        }
+        if (!metadata) {
+            throw new ExtensionNotFoundError(version ?
+                `Version ${version} of "${extensionId}" was not found on Open VSX.` :
+                `Extension "${extensionId}" was not found on Open VSX.`);
+        }
+        return metadata;
+    }
+
+    /**
+     * Turns version metadata into a version entry for `downloadVsix` and `getSignatureDigest`.
+     * @param {string} extensionId The full ID of the extension.
+     * @param {Object} metadata The registry's metadata of the version.
+     * @returns {{version: string, targetPlatform: string, downloadUrl: string, sha256Url: string|undefined,
+     * license: string|undefined}} `license` is the license of the extension's manifest (e.g. 'MIT').
+     * @throws {IncompatibleExtensionError} If the version has no build for this platform.
+     */
+    _toVersionEntry(extensionId, metadata) {
+        const targetPlatform = metadata.targetPlatform || 'universal';
+        if (targetPlatform !== 'universal' && targetPlatform !== this.targetPlatform) {
+            throw new IncompatibleExtensionError(`"${extensionId}" has no Open VSX build for ${this.targetPlatform}.`);
+        }
+        return {
+            version: metadata.version,
+            targetPlatform,
+            downloadUrl: metadata.files.download,
+            sha256Url: metadata.files.sha256,
+            license: metadata.license
+        };
+    }
+
+    /**
+     * Reads the SHA-256 checksum the registry publishes for a package.
+     * @param {Object} versionEntry A version entry returned by `getVersionEntry`.
+     * @param {AbortSignal} [signal] Aborts the request.
+     * @returns {Promise<{sha256: string}|undefined>} The hex-encoded digest, or undefined if none is published.
+     */
+    async getSignatureDigest(versionEntry, signal) {
+        if (!versionEntry.sha256Url) {
+            return undefined;
+        }
+        const response = await this._http.get(versionEntry.sha256Url, { responseType: 'text', signal });
+        // The checksum file holds the hex digest, optionally followed by the file name
+        const sha256 = String(response.data).trim().split(/\s+/)[0].toLowerCase();
+        return /^[0-9a-f]{64}$/.test(sha256) ? { sha256 } : undefined;
+    }
+
+    /**
+     * Downloads the VSIX package of an extension version into a directory.
+     * @param {string} extensionId The full ID of the extension.
+     * @param {Object} versionEntry A version entry returned by `getVersionEntry`.
+     * @param {string} destinationDir The directory to write the `.vsix` file to.
+     * @param {{signal?: AbortSignal, onProgress?: function(number, number|undefined): void}} [options]
+     * `signal` aborts the download; `onProgress` receives the bytes received so far and the total size, when known.
+     * @returns {Promise<string>} The path of the downloaded `.vsix` file.
+     */
+    async downloadVsix(extensionId, versionEntry, destinationDir, options = {}) {
+        this._log(`Downloading ${extensionId}@${versionEntry.version} from ${versionEntry.downloadUrl}`);
+        await fs.promises.mkdir(destinationDir, { recursive: true });
+        const platformSuffix = versionEntry.targetPlatform !== 'universal' ? `@${versionEntry.targetPlatform}` : '';
+        const filePath = path.join(destinationDir, `${extensionId}-${versionEntry.version}${platformSuffix}.vsix`);
+        return downloadToFile(this._http, versionEntry.downloadUrl, filePath, options);
+    }
+
+    /**
+     * Fetches extension metadata from the registry.
+     * @param {string} url The metadata URL.
+     * @returns {Promise<Object|undefined>} The metadata, or undefined if the registry does not know it.
+     */
+    async _getMetadata(url) {
+        try {
+            const response = await this._http.get(url);
+            // Unknown extensions are reported with an error body rather than always with a 404
+            return response.data && !response.data.error && response.data.files?.download ? response.data : undefined;
+        } catch (error) {
+            if (error.response && (error.response.status === 404 || error.response.status === 400)) {
+                return undefined;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    OpenVsxClient
+};
@@ -0,0 +1,59 @@
+/**
+ * An in-memory cache of recent search results: the least recently used entries are evicted once it is full,
+ * and entries expire after a short time so new releases and install counts show up.
+ */
+class SearchCache {
+    /**
+     * @param {{maxEntries?: number, ttlMs?: number, now?: function(): number}} [options] The number of entries to
+     * keep (defaults to 50), how long they stay valid in milliseconds (defaults to one minute), and the clock.
+     */
+    constructor(options = {}) {
+        this._maxEntries = options.maxEntries || 50;
+        this._ttlMs = options.ttlMs || 60 * 1000;
+        this._now = options.now || Date.now;
+        // Maps iterate in insertion order, so the first key is always the least recently used one
+        this._entries = new Map();
+    }
+
+    /**
+     * Looks up a cached value and marks it as recently used.
+     * @param {string} key The cache key.
+     * @returns {any} The value, or undefined if it is missing or expired.
+     */
+    get(key) {
+        const entry = this._entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        this._entries.delete(key);
+        if (entry.expiresAt <= this._now()) {
+            return undefined;
+        }
+        this._entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Stores a value, evicting the least recently used entry if the cache is full.
+     * @param {string} key The cache key.
+     * @param {any} value The value to store.
+     */
+    set(key, value) {
+        this._entries.delete(key);
+        this._entries.set(key, { value, expiresAt: this._now() + this._ttlMs });
+        if (this._entries.size > this._maxEntries) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Forgets every cached value.
+     */
+    clear() {
+        this._entries.clear();
+    }
+}
+
+module.exports = {
+    SearchCache
+};
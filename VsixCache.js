@@ -0,0 +1,219 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { compareVersions } = require('./versions');
+
+const INDEX_FILE = 'index.json';
+
+/**
+ * Computes the SHA-256 digest of a file.
+ * @param {string} filePath The file to hash.
+ * @returns {Promise<string>} The hex-encoded digest.
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * A managed cache of downloaded VSIX packages, keyed by extension ID, version and target platform.
+ * Every package is stored with its SHA-256 digest so a corrupted or tampered file is never installed.
+ */
+class VsixCache {
+    /**
+     * @param {string} cacheDir The directory holding the cached packages and their index.
+     * @param {{log?: function(string): void}} [options] `log` records packages discarded from the cache.
+     */
+    constructor(cacheDir, options = {}) {
+        this._cacheDir = cacheDir;
+        this._log = options.log || (() => {});
+        this._indexPath = path.join(cacheDir, INDEX_FILE);
+        this._indexLock = Promise.resolve(); // Chains index updates, see `_updateIndex`
+    }
+
+    /**
+     * Builds the cache key of a package.
+     * @param {string} extensionId The full ID of the extension.
+     * @param {string} version The version of the package.
+     * @param {string} [targetPlatform] The platform of the package. Defaults to 'universal'.
+     * @returns {string}
+     */
+    static getKey(extensionId, version, targetPlatform) {
+        return `${extensionId.toLowerCase()}-${version}@${targetPlatform || 'universal'}`;
+    }
+
+    /**
+     * Lists the cached packages, newest first within each extension.
+     * @returns {Promise<Array<{key: string, extensionId: string, version: string, targetPlatform: string,
+     * filePath: string, size: number, sha256: string, verified: boolean, cachedAt: string}>>}
+     */
+    async list() {
+        const index = await this._readIndex();
+        return Object.values(index)
+            .map(entry => ({ ...entry, filePath: path.join(this._cacheDir, entry.fileName) }))
+            .sort((a, b) => a.extensionId.localeCompare(b.extensionId) || compareVersions(b.version, a.version));
+    }
+
+    /**
+     * Looks up a cached package and checks that its file still matches the recorded digest.
+     * A package whose file is missing or corrupted is dropped from the cache.
+     * @param {string} extensionId The full ID of the extension.
+     * @param {string} version The version of the package.
+     * @param {string} [targetPlatform] The platform of the package. Defaults to 'universal'.
+     * @returns {Promise<string|undefined>} The path of the cached `.vsix` file, or undefined on a cache miss.
+     */
+    async get(extensionId, version, targetPlatform) {
+        const key = VsixCache.getKey(extensionId, version, targetPlatform);
+        const index = await this._readIndex();
+        const entry = index[key];
+        if (!entry) {
+            return undefined;
+        }
+
+        const filePath = path.join(this._cacheDir, entry.fileName);
+        try {
+            if (await hashFile(filePath) === entry.sha256) {
+                return filePath;
+            }
+            this._log(`VSIX cache: Digest mismatch for ${key}; discarding the cached package.`);
+        } catch (error) {
+            this._log(`VSIX cache: Cached package ${key} is unreadable: ${error.message}`);
+        }
+        await this.remove(key);
+        return undefined;
+    }
+
+    /**
+     * Moves a downloaded package into the cache after checking it against the expected digest.
+     * @param {string} extensionId The full ID of the extension.
+     * @param {string} version The version of the package.
+     * @param {string|undefined} targetPlatform The platform of the package, or undefined for 'universal'.
+     * @param {string} downloadedPath The downloaded `.vsix` file; it is moved, not copied.
+     * @param {{sha256: string, size?: number}} [expected] The digest published by the gallery, when available.
+     * @returns {Promise<string>} The path of the cached `.vsix` file.
+     * @throws {Error} If the package does not match the expected digest (the download is deleted).
+     */
+    async add(extensionId, version, targetPlatform, downloadedPath, expected) {
+        const sha256 = await hashFile(downloadedPath);
+        const { size } = await fs.promises.stat(downloadedPath);
+        if (expected && (expected.sha256 !== sha256 || (expected.size !== undefined && expected.size !== size))) {
+            await fs.promises.unlink(downloadedPath).catch(() => {});
+            throw new Error(`Integrity check failed for ${extensionId}@${version}: the downloaded package does not match the marketplace signature.`);
+        }
+
+        const key = VsixCache.getKey(extensionId, version, targetPlatform);
+        const fileName = `${key}.vsix`;
+        await fs.promises.mkdir(this._cacheDir, { recursive: true });
+        const filePath = path.join(this._cacheDir, fileName);
+        await fs.promises.rename(downloadedPath, filePath);
+
+        await this._updateIndex(index => {
+            index[key] = {
+                key,
+                extensionId,
+                version,
+                targetPlatform: targetPlatform || 'universal',
+                fileName,
+                size,
+                sha256,
+                verified: Boolean(expected), // False when the gallery published no signature to check against
+                cachedAt: new Date().toISOString()
+            };
+        });
+        return filePath;
+    }
+
+    /**
+     * Removes a package from the cache.
+     * @param {string} key The cache key of the package.
+     */
+    async remove(key) {
+        await this._updateIndex(async index => {
+            const entry = index[key];
+            if (entry) {
+                await fs.promises.unlink(path.join(this._cacheDir, entry.fileName)).catch(() => {});
+                delete index[key];
+            }
+        });
+    }
+
+    /**
+     * Removes every cached package except the newest version of each extension and platform,
+     * as well as packages whose file has gone missing.
+     * @returns {Promise<number>} The number of packages removed.
+     */
+    async prune() {
+        const newest = new Set();
+        let removed = 0;
+        for (const entry of await this.list()) {
+            const group = `${entry.extensionId.toLowerCase()}@${entry.targetPlatform}`;
+            if (newest.has(group) || !fs.existsSync(entry.filePath)) {
+                await this.remove(entry.key);
+                removed++;
+            } else {
+                newest.add(group);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Removes every cached package.
+     */
+    async clear() {
+        await fs.promises.rm(this._cacheDir, { recursive: true, force: true });
+    }
+
+    /**
+     * Reads the cache index.
+     * @returns {Promise<Object<string, Object>>} The cached entries keyed by cache key.
+     */
+    async _readIndex() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this._indexPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this._log(`VSIX cache: Could not read the cache index, starting empty: ${error.message}`);
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Reads, changes and writes back the cache index. Updates run one after the other, so packages added by
+     * concurrent installations (see `marketplace-installer.maxConcurrentInstalls`) never drop each other's entries.
+     * @param {function(Object<string, Object>): (void|Promise<void>)} change Changes the index in place.
+     * @returns {Promise<void>}
+     */
+    _updateIndex(change) {
+        const update = this._indexLock.then(async () => {
+            const index = await this._readIndex();
+            await change(index);
+            await this._writeIndex(index);
+        });
+        // A failed update must not block the following ones
+        this._indexLock = update.catch(() => {});
+        return update;
+    }
+
+    /**
+     * Writes the cache index through a temporary file, so a reader (possibly another window) never sees a
+     * half-written index.
+     * @param {Object<string, Object>} index The cached entries keyed by cache key.
+     */
+    async _writeIndex(index) {
+        await fs.promises.mkdir(this._cacheDir, { recursive: true });
+        const tempPath = `${this._indexPath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(index, null, 2));
+        await fs.promises.rename(tempPath, this._indexPath);
+    }
+}
+
+module.exports = {
+    VsixCache
+};
@@ -0,0 +1,198 @@
+const { QueryFlags, isValidExtensionId } = require('./MarketplaceClient');
+const { selectDisplayedVersion } = require('./platform');
+const { Source } = require('./searchSources');
+const { normalizeSearch, buildGalleryFilter, buildOpenVsxSearch } = require('./searchFilters');
+const { parseExtensionReference } = require('./extensionLinks');
+const { InstallError, InvalidExtensionIdError } = require('./errors');
+
+// Bumped when a method changes in a way callers have to adapt to
+const API_VERSION = 1;
+
+/**
+ * Turns what a caller passed to the API or to a command into an install request.
+ * @param {string|{id?: string, extensionId?: string, version?: string, source?: string}} input An ID
+ * ('publisher.name' or 'publisher.name@1.2.3'), a marketplace URL or `vscode:extension/` link, or an object
+ * with the ID (as `id` or `extensionId`), the exact version and the `Source` to install from.
+ * @returns {{extensionId: string, version: string|undefined, source: string|undefined}}
+ * @throws {InvalidExtensionIdError|InstallError} If the input names no valid extension ID, or an unknown source
+ * (code 'invalidSource').
+ */
+function toInstallRequest(input) {
+    if (typeof input === 'string') {
+        const reference = parseExtensionReference(input);
+        if (!reference) {
+            throw new InvalidExtensionIdError(input.trim());
+        }
+        return { extensionId: reference.extensionId, version: reference.version, source: undefined };
+    }
+    const extensionId = input?.extensionId ?? input?.id;
+    if (!isValidExtensionId(extensionId)) {
+        throw new InvalidExtensionIdError(String(extensionId));
+    }
+    if (input.source !== undefined && !Object.values(Source).includes(input.source)) {
+        throw new InstallError('invalidSource', `Unknown source "${input.source}"; use '${Source.Marketplace}' or '${Source.OpenVsx}'.`);
+    }
+    return { extensionId, version: input.version || undefined, source: input.source };
+}
+
+/**
+ * Describes a request that could not be turned into an installation, as an install result.
+ * @param {any} input What the caller passed.
+ * @param {Error} error Why it was rejected.
+ * @returns {{extensionId: string, outcome: 'failed', error: string, errorCode: string|undefined}}
+ */
+function toFailedResult(input, error) {
+    return { extensionId: String(input?.extensionId ?? input?.id ?? input), outcome: 'failed', error: error.message, errorCode: error.code };
+}
+
+/**
+ * Builds the API that `activate` returns, so other extensions can drive installations:
+ *
+ *     const api = await vscode.extensions.getExtension('cooligula.marketplace-installer').activate();
+ *     const { extensions } = await api.search('prettier');
+ *     const result = await api.install(extensions[0].extensionId);
+ *
+ * Methods return plain objects and never ask anything, except for the confirmation of extensions on the
+ * license warning lists. Installations run through the same queue, registry and history as the sidebar's.
+ * @param {Object} deps The services the API is built on.
+ * @param {import('./MarketplaceClient').MarketplaceClient} deps.marketplaceClient The client used for marketplace requests.
+ * @param {import('./OpenVsxClient').OpenVsxClient} deps.openVsxClient The client used for Open VSX requests.
+ * @param {function(string, string=, Object=): Promise<Object>} deps.installExtension `installExtension` of extension.js.
+ * @param {function(Array<Object>, Object=): Promise<Array<Object>>} deps.installMany `installMany` of extension.js.
+ * @param {function(): Promise<Array<Object>>} deps.findUpdates Lists the installed extensions with a newer
+ * marketplace version.
+ * @returns {Readonly<Object>} The API.
+ */
+function createApi(deps) {
+    return Object.freeze({
+        version: API_VERSION,
+
+        /**
+         * Searches the Visual Studio Marketplace or Open VSX.
+         * @param {string} query The search text; empty for the most installed extensions.
+         * @param {{category?: string, tag?: string, sort?: string, source?: string, page?: number, pageSize?: number}}
+         * [options] Filters and sort order as in the sidebar (`sort` is a key of `SORT_OPTIONS`), the `Source` to
+         * search (defaults to the marketplace), and the 1-based page of `pageSize` results (defaults to 50).
+         * @returns {Promise<{totalCount: number, extensions: Array<{extensionId: string, displayName: string,
+         * publisherDisplayName: string, description: string, version: string|undefined, source: string,
+         * installCount?: number}>}>}
+         */
+        async search(query, options = {}) {
+            const search = normalizeSearch({ ...options, query });
+            const page = Math.max(1, options.page || 1);
+            const pageSize = options.pageSize || 50;
+
+            if (options.source === Source.OpenVsx) {
+                const result = await deps.openVsxClient.search(buildOpenVsxSearch(search), { offset: (page - 1) * pageSize, size: pageSize });
+                return {
+                    totalCount: result.totalCount,
+                    extensions: result.extensions.map(ext => ({
+                        extensionId: ext.extensionId,
+                        displayName: ext.displayName,
+                        publisherDisplayName: ext.publisherDisplayName,
+                        description: ext.description,
+                        version: ext.version,
+                        source: Source.OpenVsx
+                    }))
+                };
+            }
+
+            const { criteria, sortBy, sortOrder } = buildGalleryFilter(search);
+            const result = await deps.marketplaceClient.query(
+                criteria,
+                QueryFlags.IncludeVersions | QueryFlags.IncludeVersionProperties | QueryFlags.IncludeStatistics,
+                { pageNumber: page, pageSize, sortBy, sortOrder }
+            );
+            const extensions = result.extensions || [];
+            const totalCount = result.resultMetadata
+                ?.find(m => m.metadataType === 'ResultCount')
+                ?.metadataItems?.find(i => i.name === 'TotalCount')?.count;
+            return {
+                totalCount: totalCount ?? extensions.length,
+                extensions: extensions.map(ext => {
+                    const versions = ext.versions || [];
+                    const versionEntry = selectDisplayedVersion(versions, deps.marketplaceClient.targetPlatform);
+                    return {
+                        extensionId: `${ext.publisher.publisherName}.${ext.extensionName}`,
+                        displayName: ext.displayName,
+                        publisherDisplayName: ext.publisher.displayName,
+                        description: ext.shortDescription || '',
+                        version: versionEntry?.version,
+                        source: Source.Marketplace,
+                        installCount: ext.statistics?.find(statistic => statistic.statisticName === 'install')?.value
+                    };
+                })
+            };
+        },
+
+        /**
+         * Lists the versions of an extension published on the Visual Studio Marketplace for this platform.
+         * @param {string} extensionId The full ID of the extension.
+         * @returns {Promise<Array<{version: string, lastUpdated: string, isPreRelease: boolean,
+         * engine: string|undefined, isEngineCompatible: boolean}>>} Newest first; `isEngineCompatible` tells whether
+         * the running editor can use the version.
+         */
+        getVersions(extensionId) {
+            return deps.marketplaceClient.getVersions(extensionId);
+        },
+
+        /**
+         * Installs an extension, with its missing dependencies and extension pack members.
+         * @param {string|{id?: string, extensionId?: string, version?: string, source?: string}} extension
+         * The extension: an ID, a marketplace link, or an object (see `toInstallRequest`).
+         * @param {{version?: string, source?: string}} [options] The exact version (defaults to the newest the
+         * editor can run) and the `Source` to install from, overriding those of `extension`.
+         * @returns {Promise<{extensionId: string, outcome: 'installed'|'failed'|'cancelled'|'skipped',
+         * error?: string, errorCode?: string}>} Failures resolve too, with the `code` of the `InstallError`.
+         */
+        async install(extension, options = {}) {
+            let request;
+            try {
+                request = toInstallRequest(extension);
+            } catch (error) {
+                return toFailedResult(extension, error);
+            }
+            const version = options.version || request.version;
+            const source = options.source || request.source;
+            const result = await deps.installExtension(request.extensionId, version, { quiet: true, source });
+            return { extensionId: request.extensionId, ...result };
+        },
+
+        /**
+         * Installs several extensions as one batch, with a single progress notification.
+         * @param {Array<string|{id?: string, extensionId?: string, version?: string, source?: string}>} extensions
+         * The extensions (see `install`).
+         * @returns {Promise<Array<{extensionId: string, outcome: string, error?: string, errorCode?: string}>>}
+         * The outcome of each installation, in the order of `extensions`.
+         */
+        async installMany(extensions) {
+            const requests = [];
+            const invalid = new Map();
+            extensions.forEach((extension, index) => {
+                try {
+                    requests.push({ index, ...toInstallRequest(extension) });
+                } catch (error) {
+                    invalid.set(index, toFailedResult(extension, error));
+                }
+            });
+            const results = await deps.installMany(requests.map(({ extensionId, version, source }) => ({ extensionId, version, source })), { quiet: true });
+            const byIndex = new Map(requests.map((request, i) => [request.index, results[i]]));
+            return extensions.map((extension, index) => invalid.get(index) || byIndex.get(index));
+        },
+
+        /**
+         * Compares the installed extensions with the Visual Studio Marketplace.
+         * @returns {Promise<Array<{extensionId: string, displayName: string, currentVersion: string,
+         * latestVersion: string}>>} The extensions with a newer version the editor can run.
+         */
+        checkUpdates() {
+            return deps.findUpdates();
+        }
+    });
+}
+
+module.exports = {
+    API_VERSION,
+    toInstallRequest,
+    createApi
+};
@@ -0,0 +1,71 @@
+/**
+ * Splits the install plans of a batch so that no extension is installed twice: each requested extension stays
+ * in its own plan, and a dependency or pack member shared by several plans is only kept in the first one.
+ * @param {Array<Array<{extensionId: string, reason: string}>|undefined>} plans The plan of each request (see
+ * `resolveInstallPlan`), requested extension last; undefined for requests whose plan could not be resolved.
+ * @returns {{plans: Array<Array<Object>|undefined>, order: number[]}} The plans without the extensions installed
+ * by another request, and the order to queue the requests in: a request comes after those installing what it
+ * needs (except in dependency cycles), otherwise in the order of `plans`.
+ */
+function mergeInstallPlans(plans) {
+    const owners = new Map(); // Lowercase extension ID -> index of the request installing it
+    plans.forEach((items, index) => {
+        const requested = items?.[items.length - 1];
+        if (requested && !owners.has(requested.extensionId.toLowerCase())) {
+            owners.set(requested.extensionId.toLowerCase(), index);
+        }
+    });
+    plans.forEach((items, index) => {
+        for (const item of items || []) {
+            if (!owners.has(item.extensionId.toLowerCase())) {
+                owners.set(item.extensionId.toLowerCase(), index);
+            }
+        }
+    });
+
+    const needs = plans.map(() => new Set()); // Indices of the requests installing what a request needs
+    const merged = plans.map((items, index) => items && items.filter((item, position) => {
+        const owner = owners.get(item.extensionId.toLowerCase());
+        if (owner === index || position === items.length - 1) {
+            return true;
+        }
+        needs[index].add(owner);
+        return false;
+    }));
+
+    const order = [];
+    const visited = new Set();
+    /**
+     * Depth-first visit that queues a request after the requests it needs.
+     * @param {number} index The index of the request.
+     */
+    const visit = index => {
+        if (visited.has(index)) {
+            return;
+        }
+        visited.add(index);
+        needs[index].forEach(visit);
+        order.push(index);
+    };
+    plans.forEach((items, index) => visit(index));
+    return { plans: merged, order };
+}
+
+/**
+ * Sorts the results of a batch installation by outcome, for its summary.
+ * @param {Array<{extensionId: string, outcome: string, error?: string}>} results The results of `installMany`.
+ * @returns {{installed: Array<Object>, failed: Array<Object>, others: Array<Object>}} The installed and failed
+ * extensions, and the others (cancelled or skipped).
+ */
+function summarizeBatch(results) {
+    return {
+        installed: results.filter(result => result.outcome === 'installed'),
+        failed: results.filter(result => result.outcome === 'failed'),
+        others: results.filter(result => result.outcome !== 'installed' && result.outcome !== 'failed')
+    };
+}
+
+module.exports = {
+    mergeInstallPlans,
+    summarizeBatch
+};
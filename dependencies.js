@@ -0,0 +1,83 @@
+const { getVersionProperty } = require('./MarketplaceClient');
+
+const DEPENDENCIES_PROPERTY = 'Microsoft.VisualStudio.Code.ExtensionDependencies';
+const PACK_PROPERTY = 'Microsoft.VisualStudio.Code.ExtensionPack';
+
+/**
+ * Reads a comma-separated list of extension IDs from a version property.
+ * @param {Object} versionEntry An entry of the gallery extension's `versions` array.
+ * @param {string} key The property key.
+ * @returns {string[]}
+ */
+function getIdList(versionEntry, key) {
+    return (getVersionProperty(versionEntry, key) || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Works out everything that has to be installed for an extension: the extension itself plus the
+ * transitive closure of its `extensionDependencies` and `extensionPack` members.
+ * Extensions that are already installed are skipped (the requested one never is).
+ * @param {import('./MarketplaceClient').MarketplaceClient} marketplaceClient The client used for marketplace requests.
+ * @param {string} extensionId The full ID of the requested extension.
+ * @param {string} [version] The exact version of the requested extension. Defaults to the latest version.
+ * @param {{installedIds?: Set<string>, log?: function(string): void}} [options] `installedIds` holds the lowercase
+ * IDs of the installed extensions (e.g., from `vscode.extensions.all`); `log` records the extensions that could not
+ * be resolved.
+ * @returns {Promise<{items: Array<{extensionId: string, versionEntry: Object, reason: string}>, missing: string[]}>}
+ * The extensions to install in dependency order (dependencies and pack members before the extensions that
+ * need them, the requested extension last), and the IDs that could not be found on the marketplace.
+ */
+async function resolveInstallPlan(marketplaceClient, extensionId, version, options = {}) {
+    const installedIds = options.installedIds || new Set();
+    const log = options.log || (() => {});
+    const visited = new Set();
+    const items = [];
+    const missing = [];
+
+    /**
+     * Depth-first visit that appends an extension after everything it needs.
+     * @param {string} id The extension ID to visit.
+     * @param {string|undefined} requestedVersion The exact version, only set for the requested extension.
+     * @param {string} reason Why the extension is part of the plan.
+     */
+    async function visit(id, requestedVersion, reason) {
+        const key = id.toLowerCase();
+        if (visited.has(key)) {
+            return; // Already planned, or a cycle between packs
+        }
+        visited.add(key);
+        if (key !== extensionId.toLowerCase() && installedIds.has(key)) {
+            return;
+        }
+
+        let versionEntry;
+        try {
+            versionEntry = await marketplaceClient.getVersionEntry(id, requestedVersion);
+        } catch (error) {
+            if (key === extensionId.toLowerCase()) {
+                throw error;
+            }
+            log(`Could not resolve "${id}" (${reason}): ${error.message}`);
+            missing.push(id);
+            return;
+        }
+
+        for (const dependency of getIdList(versionEntry, DEPENDENCIES_PROPERTY)) {
+            await visit(dependency, undefined, `dependency of ${id}`);
+        }
+        for (const member of getIdList(versionEntry, PACK_PROPERTY)) {
+            await visit(member, undefined, `part of the ${id} pack`);
+        }
+        items.push({ extensionId: id, versionEntry, reason });
+    }
+
+    await visit(extensionId, version, 'requested');
+    return { items, missing };
+}
+
+module.exports = {
+    resolveInstallPlan
+};
@@ -0,0 +1,138 @@
+// Network failures reported by Node before any response arrives
+const NETWORK_ERROR_CODES = new Set([
+    'ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EHOSTUNREACH',
+    'ENETUNREACH', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'
+]);
+
+// TLS failures, usually caused by a proxy or firewall that re-signs traffic
+const CERTIFICATE_ERROR_CODES = new Set([
+    'SELF_SIGNED_CERT_IN_CHAIN', 'DEPTH_ZERO_SELF_SIGNED_CERT', 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+    'UNABLE_TO_VERIFY_LEAF_SIGNATURE', 'CERT_HAS_EXPIRED', 'ERR_TLS_CERT_ALTNAME_INVALID'
+]);
+
+/**
+ * Base class of the errors an installation can fail with. `code` tells the kind of failure apart
+ * without `instanceof`, e.g. once the error has been reduced to a structured result.
+ */
+class InstallError extends Error {
+    /**
+     * @param {string} code A stable identifier of the kind of failure.
+     * @param {string} message A message that tells the user what to do about it.
+     * @param {{cause?: Error}} [options] The underlying error, kept for the logs.
+     */
+    constructor(code, message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.cause = options.cause;
+    }
+}
+
+/** An extension ID that does not follow the 'publisher.name' grammar. */
+class InvalidExtensionIdError extends InstallError {
+    /**
+     * @param {string} extensionId The rejected ID.
+     */
+    constructor(extensionId) {
+        super('invalidId', `Invalid extension ID "${extensionId}". Use the 'publisher.extension-name' format, e.g. 'ms-python.python'.`);
+        this.extensionId = extensionId;
+    }
+}
+
+/** The extension, or the requested version of it, is not published on the gallery. */
+class ExtensionNotFoundError extends InstallError {
+    /**
+     * @param {string} message What was not found, and where.
+     * @param {{cause?: Error}} [options]
+     */
+    constructor(message, options) {
+        super('notFound', `${message} Check the ID and version for typos, or try the other gallery.`, options);
+    }
+}
+
+/** The extension exists, but has no build that can be installed here. */
+class IncompatibleExtensionError extends InstallError {
+    /**
+     * @param {string} message Why the extension cannot be installed.
+     * @param {{cause?: Error}} [options]
+     */
+    constructor(message, options) {
+        super('incompatible', `${message} Pick another version with "Install Another Version...".`, options);
+    }
+}
+
+/** The gallery could not be reached, or answered with an error. */
+class NetworkError extends InstallError {
+    /**
+     * @param {string} message What failed.
+     * @param {{cause?: Error}} [options]
+     */
+    constructor(message, options) {
+        super('network', message, options);
+    }
+}
+
+/** A program run on behalf of an installation (the editor, Python, pip or vsix-to-vscodium) failed. */
+class HostCliError extends InstallError {
+    /**
+     * @param {string} message What failed, with the most relevant line of the program's output.
+     * @param {{cause?: Error, output?: string}} [options] `output` holds the full output, kept for the logs.
+     */
+    constructor(message, options = {}) {
+        super('hostCli', message, options);
+        this.output = options.output;
+    }
+}
+
+/**
+ * Picks the line of a program's output that most likely explains its failure: the last non-empty one.
+ * @param {string} output The combined output of the program.
+ * @returns {string|undefined}
+ */
+function summarizeOutput(output) {
+    const lines = String(output || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    return lines[lines.length - 1];
+}
+
+/**
+ * Maps an error thrown while installing to an `InstallError` with an actionable message.
+ * Errors that are already typed, and errors of an unknown kind, are returned unchanged.
+ * @param {Error} error The error to map.
+ * @returns {Error}
+ */
+function toInstallError(error) {
+    if (error instanceof InstallError) {
+        return error;
+    }
+    const response = error.response;
+    if (response && response.status === 404) {
+        return new ExtensionNotFoundError(`The gallery has no resource at ${error.config?.url || 'the requested URL'}.`, { cause: error });
+    }
+    if (response && (response.status === 401 || response.status === 403)) {
+        return new NetworkError(`The gallery refused the request (HTTP ${response.status}). Check the headers configured in "marketplace-installer.gallery.headers".`, { cause: error });
+    }
+    if (response && response.status === 429) {
+        return new NetworkError('The gallery is rate-limiting requests (HTTP 429). Wait a few minutes and try again.', { cause: error });
+    }
+    if (response) {
+        return new NetworkError(`The gallery answered with HTTP ${response.status}. It may be temporarily unavailable; try again later.`, { cause: error });
+    }
+    if (CERTIFICATE_ERROR_CODES.has(error.code)) {
+        return new NetworkError(`The gallery's certificate could not be verified (${error.code}). If a proxy re-signs traffic, add its certificate with "marketplace-installer.caBundle".`, { cause: error });
+    }
+    if (NETWORK_ERROR_CODES.has(error.code)) {
+        return new NetworkError(`Could not reach ${error.hostname || 'the gallery'} (${error.code}). Check your internet connection and the proxy settings.`, { cause: error });
+    }
+    return error;
+}
+
+module.exports = {
+    InstallError,
+    InvalidExtensionIdError,
+    ExtensionNotFoundError,
+    IncompatibleExtensionError,
+    NetworkError,
+    HostCliError,
+    summarizeOutput,
+    toInstallError
+};
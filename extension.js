@@ -1,8 +1,31 @@
 const vscode = require('vscode');
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const { MarketplaceViewProvider } = require('./MarketplaceViewProvider');
+const { MarketplaceClient, AssetType, isValidExtensionId } = require('./MarketplaceClient');
+const { OpenVsxClient } = require('./OpenVsxClient');
+const { Source } = require('./searchSources');
+const { updateExtensions, getUserExtensions } = require('./updates');
+const { resolveInstallPlan } = require('./dependencies');
+const { mergeInstallPlans, summarizeBatch } = require('./batch');
+const { VsixCache } = require('./VsixCache');
+const { resolveProxy } = require('./http');
+const { InstallQueue, CancelledError } = require('./InstallQueue');
+const { InstallRegistry } = require('./InstallRegistry');
+const { InstallHistory } = require('./InstallHistory');
+const { compareVersions, toVersionPickItems } = require('./versions');
+const { createManifest, parseManifest, planManifestImport } = require('./manifest');
+const { readExtensionsIndex } = require('./extensionsIndex');
+const { findVSCodeExtensionDirs, readVSCodeExtensions, compareWithInstalled } = require('./vscodeImport');
+const { resolveEditorCli, readApplicationName, buildPythonInstallerArgs } = require('./hostEditor');
+const { parseJsonc, collectRecommendations } = require('./recommendations');
+const { findLicenseWarnings } = require('./trust');
+const { parseExtensionReference, parseInstallUri } = require('./extensionLinks');
+const { createApi } = require('./api');
+const { InvalidExtensionIdError, HostCliError, summarizeOutput, toInstallError } = require('./errors');
+const axios = require('axios');
 
 // --- Helper Functions ---
 
@@ -30,21 +53,34 @@ function getInstallerCommand(venvPath) {
 }
 
 /**
- * Executes a shell command and returns a Promise.
- * @param {string} command The command to execute.
- * @param {import('child_process').ExecOptions} [options] Options for the child process.
- * @returns {Promise<{stdout: string, stderr: string}>} A promise that resolves with stdout/stderr or rejects with an error.
+ * Runs a program and returns a Promise. Arguments are passed as-is, without a shell, so they are never
+ * interpreted as shell syntax.
+ * @param {string} file The program to run.
+ * @param {string[]} args The arguments of the program.
+ * @param {import('child_process').ExecFileOptions} [options] Options for the child process.
+ * @returns {Promise<{stdout: string, stderr: string}>} A promise that resolves with stdout/stderr.
+ * @throws {HostCliError} If the program cannot be started or exits with an error. Aborting `options.signal`
+ * rejects with the original abort error instead.
  */
-function execPromise(command, options) {
+function execPromise(file, args, options = {}) {
+    const program = path.basename(file);
     return new Promise((resolve, reject) => {
-        exec(command, options, (error, stdout, stderr) => {
-            if (error) {
-                // Append stderr to error message for better debugging
-                error.message += `\n${stderr}`;
+        execFile(file, args, { windowsHide: true, ...options }, (error, stdout, stderr) => {
+            if (!error) {
+                resolve({ stdout, stderr });
+            } else if (error.name === 'AbortError' || error.code === 'ABORT_ERR') {
                 reject(error);
-                return;
+            } else if (error.code === 'ENOENT') {
+                reject(new HostCliError(`"${program}" could not be started because it was not found.`, { cause: error }));
+            } else {
+                // The tools print their errors on either stream; keep the full output for the logs only
+                const output = `${stderr}\n${stdout}`;
+                const summary = summarizeOutput(output);
+                reject(new HostCliError(
+                    `"${program}" failed with exit code ${error.code}${summary ? `: ${summary}` : '.'}`,
+                    { cause: error, output }
+                ));
             }
-            resolve({ stdout, stderr });
         });
     });
 }
@@ -56,14 +92,14 @@ function execPromise(command, options) {
  */
 async function findPython() {
     try {
-        await execPromise('python3 --version');
+        await execPromise('python3', ['--version']);
         return 'python3';
     } catch (err) {
         try {
-            await execPromise('python --version');
+            await execPromise('python', ['--version']);
             return 'python';
         } catch (err2) {
-            throw new Error('Python is not installed or not in your PATH. Please install Python to use this extension.');
+            throw new HostCliError('Python is not installed or not in your PATH. Install Python 3, or turn off "marketplace-installer.usePythonInstaller".');
         }
     }
 }
@@ -71,6 +107,77 @@ async function findPython() {
 // Declare _webviewViewReference outside installExtension to be accessible
 let _webviewViewReference = null;
 
+// Set on activation; used to locate the global storage and bundled Python sources
+let _extensionContext = null;
+
+// Shared client for all marketplace requests
+const _marketplaceClient = new MarketplaceClient({ hostVersion: vscode.version, log });
+
+// Shared client for Open VSX requests, used for dual-source search and installs
+const _openVsxClient = new OpenVsxClient({ hostVersion: vscode.version, log });
+
+// Downloaded VSIX packages, created on activation under the global storage
+let _vsixCache = null;
+
+// Extensions installed through this tool, for the sidebar's "Installed" tab; created on activation
+let _installRegistry = null;
+
+// Log of past installations, for the sidebar's "History" tab and rollbacks; created on activation
+let _installHistory = null;
+
+// Versions installed or uninstalled since the window loaded, keyed by lowercase ID (undefined once uninstalled).
+// `vscode.extensions` keeps reporting the loaded version until the window is reloaded.
+const _sessionVersions = new Map();
+
+// The "Marketplace Installer" output channel with all installer activity; created on activation
+let _outputChannel = null;
+
+// Runs installations one (or `maxConcurrentInstalls`) at a time
+const _installQueue = new InstallQueue(1);
+
+// Lazily created the first time the Python installer is needed
+let _pythonInstallerPromise = null;
+
+// The API returned by `activate`, also used by the commands called with arguments; created on activation
+let _api = null;
+
+/**
+ * Writes a line of installer activity to the "Marketplace Installer" output channel.
+ * @param {string} message The line to write; the time is prepended.
+ */
+function log(message) {
+    if (_outputChannel) {
+        _outputChannel.appendLine(`[${new Date().toLocaleTimeString()}] ${message}`);
+    } else {
+        console.log(message); // Not activated yet
+    }
+}
+
+/**
+ * Shows an error notification with a "Show Log" button that opens the output channel.
+ * @param {string} message The error message.
+ */
+function showErrorWithLog(message) {
+    vscode.window.showErrorMessage(message, 'Show Log').then(selection => {
+        if (selection === 'Show Log') {
+            _outputChannel?.show();
+        }
+    });
+}
+
+/**
+ * Tells which version of an extension is installed, including changes not yet loaded by a window reload.
+ * @param {string} extensionId The full ID of the extension.
+ * @returns {string|undefined} The installed version, or undefined if it is not installed.
+ */
+function getInstalledVersion(extensionId) {
+    const key = extensionId.toLowerCase();
+    if (_sessionVersions.has(key)) {
+        return _sessionVersions.get(key);
+    }
+    return vscode.extensions.getExtension(extensionId)?.packageJSON.version;
+}
+
 /**
  * Ensures that the Python virtual environment and `vsix-to-vscodium` are set up.
  * This runs as a progress notification.
@@ -85,11 +192,11 @@ async function ensureDependencies(storagePath, extensionPath) {
     const vsixToVscodiumSourcePath = path.join(extensionPath, 'python_src', 'vsix-to-vscodium');
 
     // Log the venvPath for easier debugging/manual deletion
-    console.log(`Checking for existing virtual environment at: ${venvPath}`);
+    log(`Checking for existing virtual environment at: ${venvPath}`);
 
     // Check if installer already exists to avoid unnecessary setup
     if (fs.existsSync(installerPath)) {
-        console.log('vsix-to-vscodium already installed.');
+        log('vsix-to-vscodium already installed.');
         return installerPath;
     }
 
@@ -108,18 +215,19 @@ async function ensureDependencies(storagePath, extensionPath) {
             const pythonCmd = await findPython();
             progress.report({ message: 'Creating Python virtual environment...' });
             // Create virtual environment
-            await execPromise(`${pythonCmd} -m venv "${venvPath}"`);
+            await execPromise(pythonCmd, ['-m', 'venv', venvPath]);
 
             progress.report({ message: 'Installing vsix-to-vscodium from local source...' });
             const venvPython = getPythonCommand(venvPath);
             // Install vsix-to-vscodium in editable mode from local source
             // The command is executed from the vsix-to-vscodium source directory
-            await execPromise(`"${venvPython}" -m pip install -e .`, { cwd: vsixToVscodiumSourcePath });
+            await execPromise(venvPython, ['-m', 'pip', 'install', '-e', '.'], { cwd: vsixToVscodiumSourcePath });
 
             vscode.window.showInformationMessage('Marketplace Installer setup complete! You can now search and install extensions.');
             return installerPath;
         } catch (error) {
-            vscode.window.showErrorMessage(`Failed to set up Python dependencies: ${error.message}`);
+            log(`Failed to set up Python dependencies: ${error.message}${error.output ? `\n${error.output}` : ''}`);
+            showErrorWithLog(`Failed to set up Python dependencies: ${error.message}`);
             // Re-throw the error so the promise chain can handle it
             throw error;
         }
@@ -127,78 +235,1347 @@ async function ensureDependencies(storagePath, extensionPath) {
 }
 
 /**
- * The core installation logic for a VS Code extension using vsix-to-vscodium.
- * This function is called from both the command palette and the webview.
+ * Returns the vsix-to-vscodium installer path, setting up its virtual environment on first use.
+ * Only used when the `marketplace-installer.usePythonInstaller` setting is enabled.
+ * @returns {Promise<string>} A promise that resolves with the path to the installer command.
+ */
+function getPythonInstaller() {
+    if (!_pythonInstallerPromise) {
+        _pythonInstallerPromise = ensureDependencies(_extensionContext.globalStorageUri.fsPath, _extensionContext.extensionPath);
+        // Allow a later attempt to retry the setup if this one fails
+        _pythonInstallerPromise.catch(() => {
+            _pythonInstallerPromise = null;
+        });
+    }
+    return _pythonInstallerPromise;
+}
+
+/**
+ * Returns the VSIX of an extension version from the cache, downloading and verifying it on a cache miss.
+ * @param {string} extensionId The full ID of the extension (e.g., 'publisher.extension-name').
+ * @param {Object} versionEntry The version entry to fetch: a gallery version entry, or an Open VSX one when `options.source` says so.
+ * @param {{source?: string, signal?: AbortSignal, onProgress?: function(number, number|undefined): void}} [options]
+ * `source` is the `Source` the entry comes from; `signal` aborts the download; `onProgress` receives the bytes
+ * received so far and the total size, when known.
+ * @returns {Promise<string>} The path of the cached `.vsix` file.
+ */
+async function getVsix(extensionId, versionEntry, options = {}) {
+    const client = options.source === Source.OpenVsx ? _openVsxClient : _marketplaceClient;
+    const cachedPath = await _vsixCache.get(extensionId, versionEntry.version, versionEntry.targetPlatform);
+    if (cachedPath) {
+        log(`Using cached package for ${extensionId}@${versionEntry.version}: ${cachedPath}`);
+        return cachedPath;
+    }
+
+    const downloadDir = path.join(_extensionContext.globalStorageUri.fsPath, 'downloads');
+    log(`Downloading ${extensionId}@${versionEntry.version} from ${options.source === Source.OpenVsx ? 'Open VSX' : 'the Visual Studio Marketplace'}.`);
+    const [downloadedPath, expected] = await Promise.all([
+        client.downloadVsix(extensionId, versionEntry, downloadDir, options),
+        client.getSignatureDigest(versionEntry, options.signal).catch(error => {
+            // Not every version is signed; fall back to recording our own digest
+            log(`Could not read the signature of ${extensionId}@${versionEntry.version}: ${error.message}`);
+            return undefined;
+        })
+    ]);
+    return _vsixCache.add(extensionId, versionEntry.version, versionEntry.targetPlatform, downloadedPath, expected);
+}
+
+/**
+ * Installs a `.vsix` file through the editor itself.
+ * @param {string} vsixPath The path of the `.vsix` file.
+ * @throws {HostCliError} If the editor rejects the package.
+ */
+async function installVsixFile(vsixPath) {
+    try {
+        await vscode.commands.executeCommand('workbench.extensions.installExtension', vscode.Uri.file(vsixPath));
+    } catch (error) {
+        throw new HostCliError(`The editor could not install ${path.basename(vsixPath)}: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Resolves the command line launcher of the running editor, which the Python tool installs with.
+ * The `marketplace-installer.editorCli` setting overrides the detection.
+ * @returns {{cli: string, source: string}|undefined} See `resolveEditorCli`.
+ */
+function getEditorCli() {
+    return resolveEditorCli({
+        platform: process.platform,
+        appName: vscode.env.appName,
+        appRoot: vscode.env.appRoot,
+        execPath: process.execPath,
+        applicationName: readApplicationName(vscode.env.appRoot),
+        override: vscode.workspace.getConfiguration('marketplace-installer').get('editorCli', '').trim()
+    });
+}
+
+/**
+ * Installs an extension with the vsix-to-vscodium Python tool, into the running editor.
  * @param {string} extensionId The full ID of the extension to install (e.g., 'publisher.extension-name').
- * @param {string} installerCmd The path to the vsix-to-vscodium executable.
+ * @param {string|undefined} version The exact version to install, or undefined for the latest.
+ * @param {string|undefined} targetPlatform The platform-specific build to install, or undefined for the universal one.
+ * @param {AbortSignal} [signal] Kills the installer process when aborted.
  */
-async function installExtension(extensionId, installerCmd) {
-    if (!extensionId || !installerCmd) {
-        vscode.window.showErrorMessage('Installation failed: Missing extension ID or installer command path.');
-        return;
+async function installWithPython(extensionId, version, targetPlatform, signal) {
+    const installerCmd = await getPythonInstaller();
+    const editor = getEditorCli();
+    if (!editor) {
+        throw new HostCliError(`Could not tell which editor "${vscode.env.appName}" is. Set "marketplace-installer.editorCli" to the path of its command line launcher.`);
     }
+    const args = buildPythonInstallerArgs(extensionId, editor.cli, { version, targetPlatform });
+    log(`Executing installation command: ${installerCmd} ${args.join(' ')}`);
+    const { stdout, stderr } = await execPromise(installerCmd, args, { signal });
 
-    await vscode.window.withProgress({
+    if (stderr) {
+        log(`Installation produced warnings/errors: ${stderr}`);
+    }
+    log(`Installation output: ${stdout}`);
+}
+
+/**
+ * Resolves what has to be installed for an extension (see `resolveInstallPlan`).
+ * @param {string} extensionId The full ID of the requested extension.
+ * @param {string|undefined} version The exact version of the requested extension, or undefined for the latest.
+ * @param {string|undefined} source The `Source` to install from.
+ * @returns {Promise<{items: Array<{extensionId: string, versionEntry: Object, reason: string, source?: string}>, missing: string[]}>}
+ */
+async function resolvePlan(extensionId, version, source) {
+    if (source === Source.OpenVsx) {
+        // The editor resolves the dependencies of a VSIX from its own gallery, which is Open VSX in VSCodium
+        const versionEntry = await _openVsxClient.getVersionEntry(extensionId, version);
+        return { items: [{ extensionId, versionEntry, reason: 'requested', source: Source.OpenVsx }], missing: [] };
+    }
+    return resolveInstallPlan(_marketplaceClient, extensionId, version, {
+        installedIds: new Set(vscode.extensions.all.map(ext => ext.id.toLowerCase())),
+        log
+    });
+}
+
+/**
+ * Resolves the dependencies and pack members of an extension and, when there are any, asks the user to confirm the plan.
+ * @param {string} extensionId The full ID of the requested extension.
+ * @param {string|undefined} version The exact version of the requested extension, or undefined for the latest.
+ * @param {{quiet?: boolean, source?: string, plan?: {items?: Array<Object>, error?: Error}}} options See `installExtension`.
+ * @returns {Promise<Array<{extensionId: string, versionEntry: Object, reason: string, source?: string}>|undefined>}
+ * The extensions to install in order, or undefined if the user cancelled.
+ */
+async function planInstallation(extensionId, version, options) {
+    if (options.plan) {
+        // Resolved by installMany, under the notification of the batch
+        if (options.plan.error) {
+            throw options.plan.error;
+        }
+        return options.plan.items;
+    }
+    if (options.source === Source.OpenVsx) {
+        return (await resolvePlan(extensionId, version, options.source)).items;
+    }
+
+    const plan = await vscode.window.withProgress({
         location: vscode.ProgressLocation.Notification,
-        title: `Installing "${extensionId}"...`,
+        title: `Resolving dependencies of "${extensionId}"...`,
         cancellable: false
-    }, async () => {
-        try {
-            const command = `"${installerCmd}" ${extensionId}`;
-            console.log(`Executing installation command: ${command}`); // Debugging
-            const { stdout, stderr } = await execPromise(command);
+    }, () => resolvePlan(extensionId, version, options.source));
+
+    if (options.quiet || (plan.items.length === 1 && plan.missing.length === 0)) {
+        return plan.items;
+    }
 
-            if (stderr) {
-                console.warn(`Installation produced warnings/errors: ${stderr}`);
+    const requested = plan.items[plan.items.length - 1];
+    const lines = plan.items.map(item => `• ${item.extensionId}@${item.versionEntry.version} (${item.reason})`);
+    if (plan.missing.length > 0) {
+        lines.push('', `Not found on the Visual Studio Marketplace, will be skipped: ${plan.missing.join(', ')}`);
+    }
+    const installAll = `Install All (${plan.items.length})`;
+    const installOnly = `Only ${extensionId}`;
+    const selection = await vscode.window.showInformationMessage(
+        `"${extensionId}" needs ${plan.items.length - 1} other extension(s) that are not installed yet.`,
+        { modal: true, detail: lines.join('\n') },
+        installAll,
+        installOnly
+    );
+    if (selection === installAll) {
+        return plan.items;
+    }
+    if (selection === installOnly) {
+        return [requested];
+    }
+    return undefined;
+}
+
+/**
+ * Reads the license declared in the manifest of an extension version.
+ * @param {{extensionId: string, versionEntry: Object, source?: string}} item A planned installation.
+ * @returns {Promise<string|undefined>} The `license` field (e.g. 'MIT'), or undefined if it could not be read.
+ */
+async function getLicense(item) {
+    if (item.source === Source.OpenVsx) {
+        return item.versionEntry.license;
+    }
+    try {
+        const manifest = JSON.parse(await _marketplaceClient.getAssetText(item.versionEntry, AssetType.Manifest) || '{}');
+        return typeof manifest.license === 'string' ? manifest.license : undefined;
+    } catch (error) {
+        log(`Could not read the license of ${item.extensionId}: ${error.message}`);
+        return undefined;
+    }
+}
+
+/**
+ * Asks for confirmation before installing extensions on the license warning lists (the
+ * `marketplace-installer.licenseWarnings.*` settings), e.g. Microsoft extensions licensed for Microsoft products only.
+ * Extensions that are already installed were accepted before and are not checked again.
+ * @param {Array<{extensionId: string, versionEntry: Object, source?: string}>} items The extensions about to be installed.
+ * @returns {Promise<boolean>} Whether to go ahead with the installation.
+ */
+async function confirmLicenseWarnings(items) {
+    const config = vscode.workspace.getConfiguration('marketplace-installer');
+    const warnings = {
+        publishers: config.get('licenseWarnings.publishers', []),
+        licenses: config.get('licenseWarnings.licenses', [])
+    };
+    const flagged = [];
+    for (const item of items) {
+        if (getInstalledVersion(item.extensionId)) {
+            continue;
+        }
+        // Marketplace licenses cost a manifest download, so they are only read when there is a license to look for
+        const license = warnings.licenses.length > 0 ? await getLicense(item) : undefined;
+        const reasons = findLicenseWarnings({ extensionId: item.extensionId, license }, warnings);
+        if (reasons.length > 0) {
+            flagged.push(`• ${item.extensionId}: ${reasons.join('; ')}`);
+        }
+    }
+    if (flagged.length === 0) {
+        return true;
+    }
+
+    log(`License warnings:\n${flagged.join('\n')}`);
+    const installAnyway = 'Install Anyway';
+    const selection = await vscode.window.showWarningMessage(
+        `${flagged.length === 1 ? 'An extension' : `${flagged.length} extensions`} about to be installed may not be licensed for use in ${vscode.env.appName}.`,
+        {
+            modal: true,
+            detail: [...flagged, '', 'Review the license terms before installing. The warning lists are in the "marketplace-installer.licenseWarnings" settings.'].join('\n')
+        },
+        installAnyway
+    );
+    return selection === installAnyway;
+}
+
+/**
+ * Tells the sidebar about the state of an installation so it can update the extension's buttons.
+ * @param {string} extensionId The full ID of the extension.
+ * @param {'queued'|'resolving'|'downloading'|'installing'|'installed'|'failed'|'cancelled'} state
+ * @param {number} [percent] Download progress, for the 'downloading' state.
+ */
+function postInstallState(extensionId, state, percent) {
+    if (_webviewViewReference && _webviewViewReference.webview) {
+        _webviewViewReference.webview.postMessage({ type: 'installState', value: extensionId, state, percent });
+    }
+}
+
+/**
+ * Tells whether an error comes from a cancelled installation.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isCancellation(error) {
+    return error instanceof CancelledError || axios.isCancel(error) || error.name === 'AbortError' || error.code === 'ABORT_ERR';
+}
+
+/**
+ * Runs one queued installation: resolves the plan, then downloads and installs each extension with live progress.
+ * @param {string} extensionId The full ID of the extension to install.
+ * @param {string|undefined} version The exact version to install, or undefined for the latest.
+ * @param {AbortSignal} signal Aborted when the user cancels the installation.
+ * @param {{quiet?: boolean, source?: string, progress?: vscode.Progress<Object>, plan?: Object}} options See `installExtension`.
+ * @returns {Promise<{outcome: 'installed'|'failed'|'cancelled', error?: string, errorCode?: string}>} The outcome
+ * of the installation.
+ */
+async function runInstallation(extensionId, version, signal, options) {
+    const usePython = vscode.workspace.getConfiguration('marketplace-installer').get('usePythonInstaller', false);
+    const label = (version ? `${extensionId}@${version}` : extensionId) + (options.source === Source.OpenVsx ? ' from Open VSX' : '');
+    // The extension being worked on, for the history entry of a failure or cancellation
+    let current = { extensionId, oldVersion: getInstalledVersion(extensionId), newVersion: version, source: options.source || Source.Marketplace };
+
+    try {
+        log(`Installing ${label}.`);
+        postInstallState(extensionId, 'resolving');
+        const items = await planInstallation(extensionId, version, options);
+        if (!items || !await confirmLicenseWarnings(items)) {
+            throw new CancelledError();
+        }
+        const steppedBack = items.filter(item => item.versionEntry.skippedLatestVersion);
+        for (const item of steppedBack) {
+            log(`${item.extensionId}@${item.versionEntry.skippedLatestVersion} needs a newer editor; installing ${item.versionEntry.version} instead.`);
+        }
+        if (steppedBack.length > 0 && !options.quiet) {
+            const names = steppedBack.map(item => `"${item.extensionId}" ${item.versionEntry.version} (latest: ${item.versionEntry.skippedLatestVersion})`);
+            vscode.window.showInformationMessage(`The latest version of ${steppedBack.length === 1 ? 'an extension' : 'some extensions'} needs a newer editor than ${vscode.env.appName} ${vscode.version}, so the newest compatible one is installed: ${names.join(', ')}.`);
+        }
+
+        /**
+         * Downloads and installs the planned extensions in order.
+         * @param {vscode.Progress<{message?: string, increment?: number}>} progress Receives the progress of all of them.
+         */
+        const installItems = async progress => {
+            const share = 100 / items.length; // Part of the progress bar for each extension
+
+            for (const [index, item] of items.entries()) {
+                const step = items.length > 1 ? `(${index + 1}/${items.length}) ` : '';
+                const itemLabel = `${step}${item.extensionId}@${item.versionEntry.version}`;
+                current = {
+                    extensionId: item.extensionId,
+                    oldVersion: getInstalledVersion(item.extensionId),
+                    newVersion: item.versionEntry.version,
+                    source: item.source || Source.Marketplace
+                };
+                try {
+                    // The Python tool only downloads from the Visual Studio Marketplace
+                    if (usePython && item.source !== Source.OpenVsx) {
+                        postInstallState(extensionId, 'installing');
+                        progress.report({ message: `${itemLabel}: installing...` });
+                        await installWithPython(item.extensionId, item.versionEntry.version, item.versionEntry.targetPlatform, signal);
+                        await recordInstallation(current);
+                        progress.report({ increment: share });
+                        continue;
+                    }
+
+                    let reportedPercent = 0;
+                    postInstallState(extensionId, 'downloading', 0);
+                    progress.report({ message: `${itemLabel}: downloading...` });
+                    const vsixPath = await getVsix(item.extensionId, item.versionEntry, {
+                        source: item.source,
+                        signal,
+                        onProgress: (received, total) => {
+                            const percent = total ? Math.min(100, Math.floor(received / total * 100)) : 0;
+                            const sizes = total ?
+                                `${(received / 1048576).toFixed(1)} / ${(total / 1048576).toFixed(1)} MB` :
+                                `${(received / 1048576).toFixed(1)} MB`;
+                            // Only the download's share of the bar moves; installing takes the rest
+                            progress.report({ message: `${itemLabel}: downloading ${sizes}`, increment: (percent - reportedPercent) * share * 0.9 / 100 });
+                            if (percent !== reportedPercent) {
+                                postInstallState(extensionId, 'downloading', percent);
+                            }
+                            reportedPercent = percent;
+                        }
+                    });
+                    if (signal.aborted) {
+                        throw new CancelledError();
+                    }
+
+                    // The editor's install command cannot be interrupted once started
+                    postInstallState(extensionId, 'installing');
+                    progress.report({ message: `${itemLabel}: installing...`, increment: (100 - reportedPercent) * share * 0.9 / 100 });
+                    await installVsixFile(vsixPath);
+                    await recordInstallation(current);
+                    progress.report({ increment: share * 0.1 });
+                } catch (caught) {
+                    if (item.extensionId === extensionId || isCancellation(caught)) {
+                        throw caught;
+                    }
+                    const error = toInstallError(caught);
+                    error.message = `Could not install ${item.reason} "${item.extensionId}": ${error.message}`;
+                    throw error;
+                }
             }
-            console.log(`Installation stdout: ${stdout}`); // Debugging
+        };
+        if (options.progress) {
+            // Part of a batch, which shows one notification for all of its extensions
+            await installItems(options.progress);
+        } else {
+            await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: `Installing "${label}"`,
+                cancellable: true
+            }, async (progress, token) => {
+                token.onCancellationRequested(() => _installQueue.cancel(extensionId));
+                await installItems(progress);
+            });
+        }
 
+        if (!options.quiet) {
+            const others = items.length > 1 ? ` together with ${items.length - 1} other extension(s)` : '';
             vscode.window.showInformationMessage(
-                `Successfully installed "${extensionId}"! Please reload your VS Code window to activate the extension.`,
+                `Successfully installed "${label}"${others}! Please reload your VS Code window to activate the extension.`,
                 'Reload Window' // Button text
             ).then(selection => {
                 if (selection === 'Reload Window') {
                     vscode.commands.executeCommand('workbench.action.reloadWindow');
                 }
             });
+        }
+
+        // Notify the webview that installation is complete
+        postInstallState(extensionId, 'installed');
+        return { outcome: 'installed' };
+
+    } catch (caught) {
+        if (isCancellation(caught)) {
+            log(`Installation of ${extensionId} cancelled by the user.`);
+            await _installHistory.add({ ...current, outcome: 'cancelled' });
+            postInstallState(extensionId, 'cancelled');
+            return { outcome: 'cancelled' };
+        }
+        const error = toInstallError(caught);
+        log(`Installation of ${label} failed: ${error.message}${error.output ? `\n${error.output}` : ''}`);
+        if (error.cause) {
+            log(`  Caused by: ${error.cause.stack || error.cause.message}`);
+        }
+        await _installHistory.add({ ...current, outcome: 'failed', error: error.message });
+        if (!options.quiet) {
+            showErrorWithLog(`Installation Failed for "${label}": ${error.message}`);
+        }
+        postInstallState(extensionId, 'failed');
+        return { outcome: 'failed', error: error.message, errorCode: error.code };
+    }
+}
+
+/**
+ * Records a successful installation in the registry of the "Installed" tab and in the install history.
+ * @param {{extensionId: string, oldVersion: string|undefined, newVersion: string, source: string}} installation
+ * What was installed, from where, and which version it replaced.
+ */
+async function recordInstallation(installation) {
+    log(`Installed ${installation.extensionId}@${installation.newVersion}${installation.oldVersion ? ` (was ${installation.oldVersion})` : ''}.`);
+    _sessionVersions.set(installation.extensionId.toLowerCase(), installation.newVersion);
+    await _installRegistry.record(installation.extensionId, installation.newVersion, installation.source);
+    await _installHistory.add({ ...installation, outcome: 'installed' });
+}
+
+/**
+ * The core installation logic for a VS Code extension.
+ * Installations run through a queue (see `marketplace-installer.maxConcurrentInstalls`) and can be cancelled.
+ * Dependencies and extension pack members that are missing are installed first, after confirmation.
+ * Each VSIX is downloaded from the marketplace and installed by the editor, unless the
+ * `marketplace-installer.usePythonInstaller` setting opts into the vsix-to-vscodium tool.
+ * This function is called from both the command palette and the webview.
+ * @param {string} extensionId The full ID of the extension to install (e.g., 'publisher.extension-name').
+ * @param {string} [version] The exact version to install. Defaults to the latest version.
+ * @param {{quiet?: boolean, source?: string, progress?: vscode.Progress<Object>, plan?: {items?: Array<Object>, error?: Error}}}
+ * [options] `quiet` installs missing dependencies without asking and leaves success and error messages to the
+ * caller, for bulk operations that report a summary of their own. `source` is a `Source` value; installs come from
+ * the Visual Studio Marketplace unless it is `Source.OpenVsx`. `progress` reports to the notification of a batch
+ * instead of opening one, and `plan` holds the extensions the batch resolved for this one, or why it could not
+ * resolve them (see `installMany`).
+ * @returns {Promise<{outcome: 'installed'|'failed'|'cancelled'|'skipped', error?: string, errorCode?: string}>}
+ * The outcome of the installation ('skipped' when the extension is already queued) and, for failures, the error
+ * message and the `code` of the `InstallError` it maps to, if any.
+ */
+async function installExtension(extensionId, version, options = {}) {
+    if (!extensionId) {
+        vscode.window.showErrorMessage('Installation failed: Missing extension ID.');
+        return { outcome: 'failed', error: 'Missing extension ID.' };
+    }
+    if (!isValidExtensionId(extensionId)) {
+        const error = new InvalidExtensionIdError(extensionId);
+        if (!options.quiet) {
+            vscode.window.showErrorMessage(`Installation failed: ${error.message}`);
+        }
+        return { outcome: 'failed', error: error.message, errorCode: error.code };
+    }
+    if (_installQueue.has(extensionId)) {
+        if (!options.quiet) {
+            vscode.window.showInformationMessage(`"${extensionId}" is already being installed.`);
+        }
+        return { outcome: 'skipped' };
+    }
+
+    postInstallState(extensionId, 'queued');
+    try {
+        return await _installQueue.enqueue(extensionId, signal => runInstallation(extensionId, version, signal, options));
+    } catch (error) {
+        // Only a job cancelled while still queued ends up here; runInstallation reports everything else
+        log(`Queued installation of ${extensionId} cancelled.`);
+        postInstallState(extensionId, 'cancelled');
+        return { outcome: 'cancelled' };
+    }
+}
+
+/**
+ * Installs several extensions at once, e.g. the search results selected in the sidebar, with a single progress
+ * notification (whose **Cancel** cancels all of them) and a single summary with one "Reload Window" prompt.
+ * The dependencies of all the extensions are resolved first, so that one shared by several of them is installed
+ * once. The installations are then queued together; the install queue runs them as concurrently as configured.
+ * @param {Array<{extensionId: string, version?: string, source?: string}>} requests The extensions to install,
+ * with the exact version (defaults to the latest) and the `Source` to install from.
+ * @param {{quiet?: boolean}} [options] `quiet` leaves the summary to the caller.
+ * @returns {Promise<Array<{extensionId: string, outcome: string, error?: string, errorCode?: string}>>} The outcome
+ * of each installation, in the order of `requests` (see `installExtension`).
+ */
+async function installMany(requests, options = {}) {
+    if (requests.length === 0) {
+        return [];
+    }
+    let finished = 0;
+    const results = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Installing ${requests.length} extension(s)`,
+        cancellable: true
+    }, async (progress, token) => {
+        token.onCancellationRequested(() => requests.forEach(request => _installQueue.cancel(request.extensionId)));
+
+        const resolved = [];
+        const errors = new Map(); // Request index -> why its plan could not be resolved
+        for (const [index, request] of requests.entries()) {
+            if (token.isCancellationRequested) {
+                return requests.map(({ extensionId }) => ({ extensionId, outcome: 'cancelled' }));
+            }
+            // installExtension rejects these itself
+            if (!isValidExtensionId(request.extensionId) || _installQueue.has(request.extensionId)) {
+                continue;
+            }
+            progress.report({ message: `Resolving dependencies (${index + 1}/${requests.length}): ${request.extensionId}` });
+            try {
+                resolved[index] = (await resolvePlan(request.extensionId, request.version, request.source)).items;
+            } catch (error) {
+                errors.set(index, error);
+            }
+        }
+        const { plans, order } = mergeInstallPlans(requests.map((request, index) => resolved[index]));
+
+        const pending = new Array(requests.length);
+        for (const index of order) {
+            const request = requests[index];
+            // Each installation moves its own share of the bar
+            const share = {
+                report: ({ message, increment }) => progress.report({
+                    message: message && `[${finished}/${requests.length} done] ${message}`,
+                    increment: increment && increment / requests.length
+                })
+            };
+            const plan = errors.has(index) ? { error: errors.get(index) } : plans[index] && { items: plans[index] };
+            // Queued in `order`, so the installations of shared dependencies come first
+            pending[index] = installExtension(request.extensionId, request.version, { quiet: true, source: request.source, progress: share, plan })
+                .then(result => {
+                    finished++;
+                    return { extensionId: request.extensionId, ...result };
+                });
+        }
+        return Promise.all(pending);
+    });
+
+    if (!options.quiet) {
+        showBatchSummary(results);
+    }
+    return results;
+}
+
+/**
+ * Reports the outcome of a batch installation in one message, offering to reload the window once for all of
+ * the installed extensions. The full report goes to the output channel.
+ * @param {Array<{extensionId: string, outcome: string, error?: string}>} results The results of `installMany`.
+ */
+async function showBatchSummary(results) {
+    const { installed, failed, others } = summarizeBatch(results);
+    log([
+        'Batch installation report:',
+        ...installed.map(result => `  + ${result.extensionId}`),
+        ...failed.map(result => `  ! ${result.extensionId}: ${result.error}`),
+        ...others.map(result => `  = ${result.extensionId}: ${result.outcome}`)
+    ].join('\n'));
+
+    const parts = [`Installed ${installed.length} of ${results.length} extension(s).`];
+    if (failed.length > 0) {
+        parts.push(`Failed: ${failed.map(result => result.extensionId).join(', ')}.`);
+    }
+    if (others.length > 0) {
+        parts.push(`Cancelled or skipped: ${others.map(result => result.extensionId).join(', ')}.`);
+    }
+    if (installed.length > 0) {
+        parts.push('Reload the window to activate the new extensions.');
+    }
+    const buttons = [
+        ...(installed.length > 0 ? ['Reload Window'] : []),
+        ...(failed.length > 0 ? ['Show Log'] : [])
+    ];
+    const selection = failed.length > 0 ?
+        await vscode.window.showWarningMessage(parts.join(' '), ...buttons) :
+        await vscode.window.showInformationMessage(parts.join(' '), ...buttons);
+    if (selection === 'Reload Window') {
+        vscode.commands.executeCommand('workbench.action.reloadWindow');
+    } else if (selection === 'Show Log') {
+        _outputChannel?.show();
+    }
+}
+
+/**
+ * Cancels the queued or running installation of an extension.
+ * @param {string} extensionId The full ID of the extension.
+ */
+function cancelInstallation(extensionId) {
+    if (!_installQueue.cancel(extensionId)) {
+        log(`No installation of ${extensionId} to cancel.`);
+    }
+}
+
+/**
+ * Installs the extensions passed to a command by `tasks.json`, a keybinding or another extension, without asking
+ * anything but the license warning confirmation, then shows one summary.
+ * @param {Array<any>} inputs IDs, links or `{id, version, source}` objects (see `toInstallRequest` in api.js).
+ * @returns {Promise<Array<{extensionId: string, outcome: string, error?: string, errorCode?: string}>>} The outcome
+ * of each installation, returned to the caller of the command.
+ */
+async function installFromArguments(inputs) {
+    log(`Installing from command arguments: ${JSON.stringify(inputs)}`);
+    const results = await _api.installMany(inputs);
+    showBatchSummary(results);
+    return results;
+}
+
+/**
+ * Asks for several extension IDs or links at once and installs them as one batch.
+ * @returns {Promise<Array<Object>|undefined>} The outcome of each installation, or undefined if the user cancelled.
+ */
+async function installSeveralFromInput() {
+    const splitInput = value => value.split(/[\s,]+/).filter(Boolean);
+    const input = await vscode.window.showInputBox({
+        prompt: 'Enter extension IDs, marketplace URLs or vscode:extension/ links, separated by spaces or commas',
+        placeHolder: 'e.g., ms-python.python esbenp.prettier-vscode@10.1.0',
+        validateInput: value => {
+            const invalid = splitInput(value).filter(item => !parseExtensionReference(item));
+            return invalid.length === 0 ? undefined : `Not an extension ID or link: ${invalid.join(', ')}`;
+        }
+    });
+    const references = splitInput(input || '').map(item => parseExtensionReference(item));
+    if (references.length === 0) {
+        return undefined;
+    }
+    return installMany(references.map(({ extensionId, version }) => ({ extensionId, version })));
+}
+
+/**
+ * Handles the links opened for this extension. `<scheme>://cooligula.marketplace-installer/install?id=…&version=…`
+ * installs an extension after confirmation, since anyone can share such a link.
+ * @param {vscode.Uri} uri The opened link.
+ */
+async function handleUri(uri) {
+    log(`Opened link: ${uri.toString(true)}`);
+    let request;
+    try {
+        request = parseInstallUri(uri);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Cannot open the link: ${error.message}`);
+        return;
+    }
+
+    const label = request.version ? `${request.extensionId}@${request.version}` : request.extensionId;
+    const selection = await vscode.window.showInformationMessage(
+        `Install "${label}" from the Visual Studio Marketplace?`,
+        { modal: true, detail: 'A link asks to install this extension. Only install extensions you trust.' },
+        'Install'
+    );
+    if (selection === 'Install') {
+        await installExtension(request.extensionId, request.version);
+    }
+}
+
+/**
+ * Lets the user pick one of the published versions of an extension.
+ * @param {string} extensionId The full ID of the extension (e.g., 'publisher.extension-name').
+ * @param {{offerLatest?: boolean}} [options] Set `offerLatest` to put a "Latest version" entry first.
+ * @returns {Promise<{version: string|undefined}|undefined>} The chosen version (undefined version for "latest"),
+ * or undefined if the picker was dismissed.
+ */
+async function pickVersion(extensionId, options = {}) {
+    const items = _marketplaceClient.getVersions(extensionId)
+        .then(versions => toVersionPickItems(versions, { hostVersion: vscode.version, offerLatest: options.offerLatest }));
+
+    const selection = await vscode.window.showQuickPick(items, {
+        title: `Versions of ${extensionId}`,
+        placeHolder: 'Select the version to install',
+        matchOnDescription: true
+    });
+    return selection ? { version: selection.version } : undefined;
+}
+
+/**
+ * Asks for a version of an extension and installs it.
+ * Used by the "Install Another Version..." action of the search results.
+ * @param {string} extensionId The full ID of the extension (e.g., 'publisher.extension-name').
+ */
+async function installAnotherVersion(extensionId) {
+    try {
+        const selection = await pickVersion(extensionId);
+        if (selection) {
+            await installExtension(extensionId, selection.version);
+        }
+    } catch (error) {
+        log(`Could not list versions of ${extensionId}: ${error.message}`);
+        vscode.window.showErrorMessage(`Could not list versions of "${extensionId}": ${toInstallError(error).message}`);
+    }
+}
+
+/**
+ * Reads the gallery and network settings for the marketplace client.
+ * The extension's own proxy settings take precedence over the editor-wide `http.proxy` and `http.proxyStrictSSL`.
+ * @returns {Object} The settings accepted by `MarketplaceClient.configure`.
+ */
+function readGallerySettings() {
+    const config = vscode.workspace.getConfiguration('marketplace-installer');
+    const httpConfig = vscode.workspace.getConfiguration('http');
+    return {
+        serviceUrl: config.get('gallery.serviceUrl'),
+        itemUrl: config.get('gallery.itemUrl'),
+        assetUrlTemplate: config.get('gallery.assetUrlTemplate'),
+        apiVersion: config.get('gallery.apiVersion'),
+        headers: config.get('gallery.headers', {}),
+        proxy: resolveProxy({ proxy: config.get('proxy'), httpProxy: httpConfig.get('proxy') }),
+        strictSSL: config.get('proxyStrictSSL') ?? httpConfig.get('proxyStrictSSL', true),
+        caBundle: config.get('caBundle') || undefined
+    };
+}
+
+/**
+ * Checks for extension updates and offers to install them.
+ * @param {MarketplaceViewProvider} provider The sidebar provider, which shows the updates it finds.
+ * @param {{silent?: boolean}} [options] Set `silent` for background checks: no progress and no "up to date" message.
+ */
+async function checkForUpdates(provider, options = {}) {
+    const outdated = options.silent ?
+        await provider.checkForUpdates() :
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'Checking for extension updates...',
+            cancellable: false
+        }, () => provider.checkForUpdates());
+
+    if (outdated.length === 0) {
+        if (!options.silent) {
+            vscode.window.showInformationMessage('All extensions are up to date.');
+        }
+        return;
+    }
+
+    const selection = await vscode.window.showInformationMessage(
+        `${outdated.length} extension update(s) available from the Visual Studio Marketplace.`,
+        'Update All',
+        'Show Updates'
+    );
+    if (selection === 'Update All') {
+        await updateExtensions(outdated, installMany);
+    } else if (selection === 'Show Updates') {
+        vscode.commands.executeCommand('marketplace-installer.view.focus');
+    }
+}
+
+/**
+ * Starts the periodic background update check if it is enabled in the settings.
+ * @param {MarketplaceViewProvider} provider The sidebar provider.
+ * @returns {vscode.Disposable} Stops the periodic check.
+ */
+function scheduleUpdateChecks(provider) {
+    const config = vscode.workspace.getConfiguration('marketplace-installer');
+    if (!config.get('autoCheckUpdates', false)) {
+        return new vscode.Disposable(() => {});
+    }
+
+    const intervalHours = Math.max(1, config.get('updateCheckIntervalHours', 24));
+    const runCheck = () => checkForUpdates(provider, { silent: true })
+        .catch(error => log(`Background update check failed: ${error.message}`));
+
+    // Give the editor time to finish starting before the first check
+    const startupTimer = setTimeout(runCheck, 30 * 1000);
+    const intervalTimer = setInterval(runCheck, intervalHours * 60 * 60 * 1000);
+    log(`Background update check scheduled every ${intervalHours} hour(s).`);
+
+    return new vscode.Disposable(() => {
+        clearTimeout(startupTimer);
+        clearInterval(intervalTimer);
+    });
+}
+
+/**
+ * Formats a cached package for a QuickPick.
+ * @param {Object} entry An entry returned by `VsixCache.list`.
+ * @returns {vscode.QuickPickItem & {entry: Object}}
+ */
+function toCacheItem(entry) {
+    return {
+        label: `${entry.extensionId}@${entry.version}`,
+        description: `${entry.targetPlatform} · ${(entry.size / (1024 * 1024)).toFixed(1)} MB`,
+        detail: `${entry.verified ? '$(verified) Verified against the marketplace signature' : '$(unverified) No marketplace signature'} · cached ${new Date(entry.cachedAt).toLocaleString()}`,
+        entry
+    };
+}
+
+/**
+ * Installs a cached package without any network access, after checking it against its recorded digest.
+ * @param {string} [extensionId] The full ID of the extension. When omitted, the user picks a cached package.
+ * @param {string} [version] The version of the cached package.
+ * @param {string} [targetPlatform] The platform of the cached package. Defaults to 'universal'.
+ */
+async function installFromCache(extensionId, version, targetPlatform) {
+    if (!extensionId) {
+        const entries = await _vsixCache.list();
+        if (entries.length === 0) {
+            vscode.window.showInformationMessage('The VSIX cache is empty. Packages are cached when you install extensions.');
+            return;
+        }
+        const selection = await vscode.window.showQuickPick(entries.map(toCacheItem), {
+            title: 'Install from Cache',
+            placeHolder: 'Select a cached package to install',
+            matchOnDescription: true
+        });
+        if (!selection) {
+            return;
+        }
+        ({ extensionId, version, targetPlatform } = selection.entry);
+    }
+
+    const oldVersion = getInstalledVersion(extensionId);
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Installing "${extensionId}@${version}" from cache...`,
+        cancellable: false
+    }, async () => {
+        try {
+            // Re-checks the digest before handing the file to the editor
+            const vsixPath = await _vsixCache.get(extensionId, version, targetPlatform);
+            if (!vsixPath) {
+                throw new Error('The cached package is missing or corrupted and was removed from the cache.');
+            }
+            await installVsixFile(vsixPath);
+            await recordInstallation({ extensionId, oldVersion, newVersion: version, source: 'cache' });
+            vscode.window.showInformationMessage(
+                `Successfully installed "${extensionId}@${version}" from cache! Please reload your VS Code window to activate the extension.`,
+                'Reload Window'
+            ).then(choice => {
+                if (choice === 'Reload Window') {
+                    vscode.commands.executeCommand('workbench.action.reloadWindow');
+                }
+            });
+        } catch (error) {
+            const message = toInstallError(error).message;
+            log(`Installation of ${extensionId}@${version} from cache failed: ${message}`);
+            await _installHistory.add({ extensionId, oldVersion, newVersion: version, source: 'cache', outcome: 'failed', error: message });
+            showErrorWithLog(`Installation Failed for "${extensionId}@${version}": ${message}`);
+        }
+    });
+}
 
-            // Notify the webview that installation is complete
-            if (_webviewViewReference && _webviewViewReference.webview) {
-                _webviewViewReference.webview.postMessage({ type: 'installationComplete' });
+/**
+ * Shows the cached packages and lets the user install or delete one of them.
+ */
+async function listCache() {
+    const entries = await _vsixCache.list();
+    if (entries.length === 0) {
+        vscode.window.showInformationMessage('The VSIX cache is empty.');
+        return;
+    }
+    const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const selection = await vscode.window.showQuickPick(entries.map(toCacheItem), {
+        title: `VSIX Cache: ${entries.length} package(s), ${(totalSize / (1024 * 1024)).toFixed(1)} MB`,
+        placeHolder: 'Select a package to install or delete it',
+        matchOnDescription: true
+    });
+    if (!selection) {
+        return;
+    }
+
+    const action = await vscode.window.showQuickPick(['Install', 'Delete from Cache'], { title: selection.label });
+    if (action === 'Delete from Cache') {
+        await _vsixCache.remove(selection.entry.key);
+        vscode.window.showInformationMessage(`Removed ${selection.label} from the cache.`);
+    } else if (action === 'Install') {
+        // Verifies the digest, records the installation and reports failures
+        await installFromCache(selection.entry.extensionId, selection.entry.version, selection.entry.targetPlatform);
+    }
+}
+
+
+/**
+ * Lists the extensions installed by the user, including disabled ones.
+ * The extension API only exposes enabled extensions, so disabled ones are read from the index of the
+ * extensions directory this extension is installed in.
+ * @returns {Promise<Array<{id: string, version: string, enabled: boolean}>>}
+ */
+async function listInstalledExtensions() {
+    const extensions = getUserExtensions().map(ext => ({ id: ext.id, version: ext.packageJSON.version, enabled: true }));
+    const known = new Set(extensions.map(ext => ext.id.toLowerCase()));
+    try {
+        for (const entry of await readExtensionsIndex(path.dirname(_extensionContext.extensionPath))) {
+            if (!known.has(entry.id.toLowerCase())) {
+                known.add(entry.id.toLowerCase());
+                extensions.push({ id: entry.id, version: entry.version, enabled: false });
             }
+        }
+    } catch (error) {
+        log(`Could not read the extensions index, disabled extensions are not listed: ${error.message}`);
+    }
+    return extensions;
+}
+
+/**
+ * Lists the extensions installed through this tool that are still installed, with their latest version on the
+ * source they came from. Records of extensions that were uninstalled elsewhere are dropped.
+ * @returns {Promise<Array<{extensionId: string, displayName: string, installedVersion: string,
+ * latestVersion: string|undefined, isOutdated: boolean, source: string, isActive: boolean, installedAt: string}>>}
+ */
+async function listManagedExtensions() {
+    const installed = new Map((await listInstalledExtensions()).map(ext => [ext.id.toLowerCase(), ext]));
+    const records = [];
+    for (const record of _installRegistry.list()) {
+        if (installed.has(record.extensionId.toLowerCase())) {
+            records.push(record);
+        } else {
+            await _installRegistry.remove(record.extensionId);
+        }
+    }
 
+    // Latest versions are best effort: the list is still useful offline
+    const marketplaceIds = records.filter(record => record.source !== Source.OpenVsx).map(record => record.extensionId);
+    const [marketplaceVersions, openVsxEntries] = await Promise.all([
+        marketplaceIds.length > 0 ?
+            _marketplaceClient.getLatestVersions(marketplaceIds).catch(() => new Map()) :
+            new Map(),
+        Promise.allSettled(records.map(record => record.source === Source.OpenVsx ?
+            _openVsxClient.getVersionEntry(record.extensionId) :
+            Promise.resolve(undefined)))
+    ]);
+
+    return records.map((record, index) => {
+        const current = installed.get(record.extensionId.toLowerCase());
+        const latestVersion = record.source === Source.OpenVsx ?
+            openVsxEntries[index].value?.version :
+            marketplaceVersions.get(record.extensionId.toLowerCase());
+        const displayName = vscode.extensions.getExtension(record.extensionId)?.packageJSON.displayName;
+        return {
+            extensionId: current.id,
+            // Localized manifests hold a '%placeholder%' instead of the display name
+            displayName: displayName && !displayName.startsWith('%') ? displayName : current.id,
+            installedVersion: current.version,
+            latestVersion,
+            isOutdated: Boolean(latestVersion) && compareVersions(latestVersion, current.version) > 0,
+            source: record.source,
+            isActive: current.enabled,
+            installedAt: record.installedAt
+        };
+    });
+}
+
+/**
+ * Reinstalls the version an extension had before a recorded installation, or before it was uninstalled.
+ * Used by the "Roll Back" action of the sidebar's "History" tab.
+ * @param {string} entryId The `id` of the history entry.
+ * @returns {Promise<{outcome: string, error?: string}|undefined>} The outcome of the installation, or undefined
+ * if the entry has no previous version.
+ */
+async function rollBack(entryId) {
+    const entry = _installHistory.get(entryId);
+    if (!entry || !entry.oldVersion) {
+        vscode.window.showErrorMessage('There is no previous version to roll back to.');
+        return undefined;
+    }
+    log(`Rolling back ${entry.extensionId} to ${entry.oldVersion}.`);
+    // The previous version is most likely still in the VSIX cache; otherwise it comes from the same gallery
+    return installExtension(entry.extensionId, entry.oldVersion, { source: entry.source === Source.OpenVsx ? Source.OpenVsx : undefined });
+}
+
+/**
+ * Asks for confirmation and forgets the install history.
+ * @returns {Promise<boolean>} Whether the history was cleared.
+ */
+async function clearHistory() {
+    const confirmation = await vscode.window.showWarningMessage('Clear the install history?', { modal: true }, 'Clear');
+    if (confirmation !== 'Clear') {
+        return false;
+    }
+    await _installHistory.clear();
+    return true;
+}
+
+/**
+ * Asks for confirmation and uninstalls an extension through the editor.
+ * @param {string} extensionId The full ID of the extension.
+ * @returns {Promise<boolean>} Whether the extension was uninstalled.
+ */
+async function uninstallExtension(extensionId) {
+    const confirmation = await vscode.window.showWarningMessage(
+        `Uninstall "${extensionId}"?`,
+        { modal: true },
+        'Uninstall'
+    );
+    if (confirmation !== 'Uninstall') {
+        return false;
+    }
+    const oldVersion = getInstalledVersion(extensionId);
+    const source = _installRegistry.get(extensionId)?.source || Source.Marketplace;
+    try {
+        await vscode.commands.executeCommand('workbench.extensions.uninstallExtension', extensionId);
+        await _installRegistry.remove(extensionId);
+    } catch (error) {
+        log(`Could not uninstall ${extensionId}: ${error.message}`);
+        showErrorWithLog(`Could not uninstall "${extensionId}": ${error.message}`);
+        return false;
+    }
+    log(`Uninstalled ${extensionId}@${oldVersion}.`);
+    _sessionVersions.set(extensionId.toLowerCase(), undefined);
+    await _installHistory.add({ extensionId, oldVersion, newVersion: undefined, source, outcome: 'uninstalled' });
+    vscode.window.showInformationMessage(
+        `Uninstalled "${extensionId}". Please reload your VS Code window to complete the removal.`,
+        'Reload Window'
+    ).then(selection => {
+        if (selection === 'Reload Window') {
+            vscode.commands.executeCommand('workbench.action.reloadWindow');
+        }
+    });
+    return true;
+}
+
+/**
+ * Exports the installed extensions (ID, version, source and enabled state) to a JSON manifest file.
+ */
+async function exportExtensions() {
+    const uri = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.file(path.join(vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || os.homedir(), 'extensions-manifest.json')),
+        filters: { 'Extension Manifest': ['json'] },
+        saveLabel: 'Export'
+    });
+    if (!uri) {
+        return;
+    }
+
+    const manifest = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Exporting installed extensions...',
+        cancellable: false
+    }, async () => {
+        const extensions = await listInstalledExtensions();
+        let published;
+        try {
+            published = await _marketplaceClient.getLatestVersions(extensions.map(ext => ext.id));
         } catch (error) {
-            console.error(`Error during installation of ${extensionId}:`, error); // Debugging
-            vscode.window.showErrorMessage(`Installation Failed for "${extensionId}": ${error.message}`);
+            log(`Could not look up the exported extensions on the marketplace: ${error.message}`);
         }
+        return createManifest(extensions.map(ext => ({
+            ...ext,
+            source: !published ? 'unknown' : published.has(ext.id.toLowerCase()) ? 'marketplace' : 'local'
+        })));
     });
+
+    await fs.promises.writeFile(uri.fsPath, JSON.stringify(manifest, null, 2) + '\n');
+    const local = manifest.extensions.filter(ext => ext.source === 'local').length;
+    vscode.window.showInformationMessage(
+        `Exported ${manifest.extensions.length} extension(s) to ${path.basename(uri.fsPath)}.` +
+        (local > 0 ? ` ${local} of them are not published on the marketplace and will be skipped on import.` : '')
+    );
 }
 
+/**
+ * Installs the extensions of a manifest file that are missing, at their pinned versions,
+ * and reports which entries were added, skipped or failed.
+ */
+async function importExtensions() {
+    const uris = await vscode.window.showOpenDialog({
+        canSelectMany: false,
+        filters: { 'Extension Manifest': ['json'] },
+        openLabel: 'Import'
+    });
+    if (!uris || uris.length === 0) {
+        return;
+    }
+
+    const manifest = parseManifest(await fs.promises.readFile(uris[0].fsPath, 'utf8'));
+    const installed = new Map((await listInstalledExtensions()).map(ext => [ext.id.toLowerCase(), ext.version]));
+    const plan = planManifestImport(manifest, installed);
+    const label = entry => entry.version ? `${entry.id}@${entry.version}` : entry.id;
+
+    if (plan.install.length === 0) {
+        vscode.window.showInformationMessage(`Nothing to import: all ${manifest.extensions.length} extension(s) of the manifest are installed or skipped.`);
+        return;
+    }
+    const confirmation = await vscode.window.showInformationMessage(
+        `Install ${plan.install.length} extension(s) from ${path.basename(uris[0].fsPath)}?`,
+        { modal: true, detail: plan.install.map(entry => `• ${label(entry)}`).join('\n') },
+        'Install'
+    );
+    if (confirmation !== 'Install') {
+        return;
+    }
+
+    // One batch: one progress notification, and dependencies shared by several entries are installed once
+    const outcomes = await installMany(plan.install.map(entry => ({ extensionId: entry.id, version: entry.version })), { quiet: true });
+    const results = outcomes.map((outcome, i) => ({ entry: plan.install[i], ...outcome }));
+    const added = results.filter(result => result.outcome === 'installed');
+    const failed = results.filter(result => result.outcome !== 'installed');
+
+    const lines = [
+        `Added (${added.length}):`,
+        ...added.map(({ entry }) => `  + ${label(entry)}${entry.enabled ? '' : ' (disabled in the manifest; disable it manually)'}`),
+        `Skipped (${plan.skipped.length}):`,
+        ...plan.skipped.map(({ entry, reason }) => `  = ${label(entry)}: ${reason}`),
+        `Failed (${failed.length}):`,
+        ...failed.map(({ entry, outcome, error }) => `  ! ${label(entry)}: ${outcome === 'failed' ? error : outcome}`)
+    ];
+    log(`Manifest import report:\n${lines.join('\n')}`);
+
+    const buttons = added.length > 0 ? ['Reload Window'] : [];
+    const selection = await vscode.window.showInformationMessage(
+        `Import finished: ${added.length} added, ${plan.skipped.length} skipped, ${failed.length} failed.`,
+        { modal: true, detail: lines.join('\n') },
+        ...buttons
+    );
+    if (selection === 'Reload Window') {
+        vscode.commands.executeCommand('workbench.action.reloadWindow');
+    }
+}
+
+/**
+ * Asks which VS Code extensions directory to import from: the only one found, or one picked by the user
+ * among those found and a "Browse..." entry for other locations (e.g., a portable install's `data/extensions`).
+ * @returns {Promise<{label: string, dir: string}|undefined>} The directory, or undefined if the user cancelled.
+ */
+async function pickVSCodeExtensionsDir() {
+    const found = await findVSCodeExtensionDirs({ homeDir: os.homedir() });
+    if (found.length === 1) {
+        return found[0];
+    }
+    const browse = { label: '$(folder-opened) Browse...', description: 'Select an extensions folder' };
+    const selection = await vscode.window.showQuickPick([
+        ...found.map(install => ({ label: install.label, description: install.dir, install })),
+        browse
+    ], {
+        title: 'Import from VS Code',
+        placeHolder: found.length > 0 ? 'Select the VS Code install to import from' : 'No VS Code install was found; select its extensions folder'
+    });
+    if (!selection || selection.install) {
+        return selection?.install;
+    }
+    const uris = await vscode.window.showOpenDialog({
+        canSelectFiles: false,
+        canSelectFolders: true,
+        openLabel: 'Import from Folder'
+    });
+    return uris && uris.length > 0 ? { label: path.basename(uris[0].fsPath), dir: uris[0].fsPath } : undefined;
+}
+
+/**
+ * Installs extensions of an existing VS Code install, chosen in a multi-select picker.
+ * Extensions are installed from the marketplace at the version VS Code has, through the normal install pipeline,
+ * and a report of what was installed or failed is shown at the end.
+ */
+async function importFromVSCode() {
+    const install = await pickVSCodeExtensionsDir();
+    if (!install) {
+        return;
+    }
+    const extensions = await readVSCodeExtensions(install.dir);
+    if (extensions.length === 0) {
+        vscode.window.showInformationMessage(`No extensions were found in ${install.dir}.`);
+        return;
+    }
+
+    const installed = new Map((await listInstalledExtensions()).map(ext => [ext.id.toLowerCase(), ext.version]));
+    const markers = {
+        missing: () => undefined,
+        older: ext => `$(arrow-up) Installed: ${ext.installedVersion}`,
+        same: () => '$(check) Installed',
+        newer: ext => `$(check) Installed: ${ext.installedVersion} (newer)`
+    };
+    const items = compareWithInstalled(extensions, installed).map(ext => ({
+        label: ext.id,
+        description: ext.version,
+        detail: markers[ext.status](ext),
+        picked: ext.status === 'missing',
+        ext
+    }));
+    const selection = await vscode.window.showQuickPick(items, {
+        title: `Import from ${install.label} (${extensions.length} extensions)`,
+        placeHolder: 'Select the extensions to install; those not installed yet are preselected',
+        canPickMany: true,
+        matchOnDescription: true
+    });
+    if (!selection || selection.length === 0) {
+        return;
+    }
+
+    // One batch: one progress notification, and dependencies shared by several extensions are installed once
+    const outcomes = await installMany(selection.map(({ ext }) => ({ extensionId: ext.id, version: ext.version })), { quiet: true });
+    const results = outcomes.map((outcome, i) => ({ ext: selection[i].ext, ...outcome }));
+    const added = results.filter(result => result.outcome === 'installed');
+    const failed = results.filter(result => result.outcome !== 'installed');
+
+    const lines = [
+        `Installed (${added.length}):`,
+        ...added.map(({ ext }) => `  + ${ext.id}@${ext.version}`),
+        `Failed (${failed.length}):`,
+        ...failed.map(({ ext, outcome, error }) => `  ! ${ext.id}@${ext.version}: ${outcome === 'failed' ? error : outcome}`)
+    ];
+    log(`VS Code import report:\n${lines.join('\n')}`);
+
+    const buttons = added.length > 0 ? ['Reload Window'] : [];
+    const choice = await vscode.window.showInformationMessage(
+        `Import from ${install.label} finished: ${added.length} installed, ${failed.length} failed.`,
+        { modal: true, detail: lines.join('\n') },
+        ...buttons
+    );
+    if (choice === 'Reload Window') {
+        vscode.commands.executeCommand('workbench.action.reloadWindow');
+    }
+}
+
+/**
+ * Reads the extension recommendations of the open workspace: `.vscode/extensions.json` in every
+ * workspace folder and the `extensions` section of the `.code-workspace` file, if any.
+ * @returns {Promise<string[]>} The recommended extension IDs, minus unwanted ones.
+ */
+async function readWorkspaceRecommendations() {
+    const files = (vscode.workspace.workspaceFolders || []).map(folder => ({
+        uri: vscode.Uri.joinPath(folder.uri, '.vscode', 'extensions.json'),
+        section: content => content
+    }));
+    const workspaceFile = vscode.workspace.workspaceFile;
+    if (workspaceFile && workspaceFile.scheme !== 'untitled') {
+        files.push({ uri: workspaceFile, section: content => content.extensions });
+    }
+
+    const configs = [];
+    for (const file of files) {
+        let text;
+        try {
+            text = Buffer.from(await vscode.workspace.fs.readFile(file.uri)).toString('utf8');
+        } catch (error) {
+            continue; // No recommendations file in this folder
+        }
+        try {
+            const config = file.section(parseJsonc(text));
+            if (config && typeof config === 'object') {
+                configs.push(config);
+            }
+        } catch (error) {
+            log(`Could not parse the recommendations in ${file.uri.fsPath}: ${error.message}`);
+        }
+    }
+    return collectRecommendations(configs);
+}
+
+/**
+ * Lists the workspace recommendations that are not installed, with their latest marketplace version.
+ * @returns {Promise<Array<{extensionId: string, latestVersion: string|undefined, isAvailable: boolean}>>}
+ */
+async function findMissingRecommendations() {
+    const installed = new Set(vscode.extensions.all.map(ext => ext.id.toLowerCase()));
+    const missing = (await readWorkspaceRecommendations()).filter(id => !installed.has(id.toLowerCase()));
+    if (missing.length === 0) {
+        return [];
+    }
+    const latestVersions = await _marketplaceClient.getLatestVersions(missing);
+    return missing.map(extensionId => ({
+        extensionId,
+        latestVersion: latestVersions.get(extensionId.toLowerCase()),
+        isAvailable: latestVersions.has(extensionId.toLowerCase())
+    }));
+}
+
+/**
+ * Looks for workspace recommendations that are not installed, shows them in the sidebar and,
+ * if asked to, offers to install them with a notification.
+ * The notification is not shown again for a set of recommendations the user chose to ignore in this workspace.
+ * @param {MarketplaceViewProvider} provider The sidebar provider.
+ * @param {{prompt?: boolean}} [options] `prompt` shows the notification when recommendations are missing.
+ */
+async function checkRecommendations(provider, options = {}) {
+    const missing = await findMissingRecommendations();
+    provider.showRecommendations(missing);
+
+    const installable = missing.filter(recommendation => recommendation.isAvailable);
+    if (!options.prompt || installable.length === 0) {
+        return;
+    }
+    const ignoredKey = 'marketplace-installer.ignoredRecommendations';
+    const ids = installable.map(recommendation => recommendation.extensionId.toLowerCase()).sort();
+    const ignored = _extensionContext.workspaceState.get(ignoredKey, []);
+    if (ids.every(id => ignored.includes(id))) {
+        return;
+    }
+
+    const selection = await vscode.window.showInformationMessage(
+        `This workspace recommends ${installable.length} extension(s) that are not installed and are available from the Visual Studio Marketplace.`,
+        'Install All',
+        'Show Recommendations',
+        'Don\'t Ask Again'
+    );
+    if (selection === 'Install All') {
+        await provider.installRecommendations();
+    } else if (selection === 'Show Recommendations') {
+        vscode.commands.executeCommand('marketplace-installer.view.focus');
+    } else if (selection === 'Don\'t Ask Again') {
+        await _extensionContext.workspaceState.update(ignoredKey, [...new Set([...ignored, ...ids])]);
+    }
+}
 
 // --- Extension Activation ---
 
 /**
  * Called when the extension is activated.
  * @param {vscode.ExtensionContext} context
+ * @returns {Promise<Object>} The API other extensions get from `activate()`: `search`, `getVersions`, `install`,
+ * `installMany` and `checkUpdates` (see `createApi` in api.js).
  */
 async function activate(context) {
     console.log('Marketplace Installer extension is activating...');
 
-    // Ensure the global storage directory exists for the virtual environment
+    _extensionContext = context;
+    _outputChannel = vscode.window.createOutputChannel('Marketplace Installer');
+    context.subscriptions.push(_outputChannel);
+
+    // Ensure the global storage directory exists for downloaded VSIX files (and the optional virtual environment)
     const storagePath = context.globalStorageUri.fsPath;
     if (!fs.existsSync(storagePath)) {
         fs.mkdirSync(storagePath, { recursive: true });
         console.log(`Created storage directory: ${storagePath}`);
     }
+    _vsixCache = new VsixCache(path.join(storagePath, 'vsix-cache'), { log });
+    _installRegistry = new InstallRegistry(context.globalState);
+    _installHistory = new InstallHistory(context.globalState);
 
-    // Start the dependency setup. This promise will resolve with the installer command path.
-    // The view provider will await this promise before attempting installations.
-    // Pass extensionPath to ensureDependencies for local source path resolution
-    let dependencySetupPromise = ensureDependencies(storagePath, context.extensionPath);
+    // Route every marketplace and Open VSX request through the configured gallery, proxy and headers
+    // If the CA bundle cannot be read, requests keep going through the previous HTTP clients
+    const configureClients = () => {
+        const settings = readGallerySettings();
+        try {
+            _marketplaceClient.configure(settings);
+            _openVsxClient.configure({
+                ...settings,
+                url: vscode.workspace.getConfiguration('marketplace-installer').get('openVsx.url')
+            });
+        } catch (error) {
+            log(error.message);
+            showErrorWithLog(`${error.message}. Check the "marketplace-installer.caBundle" setting.`);
+        }
+    };
+    configureClients();
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+        if (event.affectsConfiguration('marketplace-installer') || event.affectsConfiguration('http')) {
+            configureClients();
+        }
+    }));
+
+    // Run as many installations at the same time as configured
+    const readConcurrency = () => vscode.workspace.getConfiguration('marketplace-installer').get('maxConcurrentInstalls', 1);
+    _installQueue.setConcurrency(readConcurrency());
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+        if (event.affectsConfiguration('marketplace-installer.maxConcurrentInstalls')) {
+            _installQueue.setConcurrency(readConcurrency());
+        }
+    }));
 
     // Create and register the sidebar webview view provider
     // Pass the installExtension function directly to the provider
-    const provider = new MarketplaceViewProvider(context.extensionUri, dependencySetupPromise, installExtension);
+    const provider = new MarketplaceViewProvider(context.extensionUri, _marketplaceClient, _openVsxClient, {
+        installExtension,
+        installMany,
+        installAnotherVersion,
+        cancelInstallation,
+        listManagedExtensions,
+        uninstallExtension,
+        listHistory: () => _installHistory.list(),
+        rollBack,
+        clearHistory,
+        log
+    });
     
     // Set up a listener for when the webview is resolved to get its reference
     context.subscriptions.push(
@@ -218,28 +1595,224 @@ async function activate(context) {
     console.log('MarketplaceViewProvider registered.');
 
     // Register a command palette command as an alternative way to install
-    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.installFromInput', async () => {
+    // With an argument (an ID, a link or an {id, version, source} object), installs without asking
+    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.installFromInput', async argument => {
         try {
-            const installerCmd = await dependencySetupPromise; // Await the installer path
-            const extensionId = await vscode.window.showInputBox({
-                prompt: 'Enter the Visual Studio Marketplace extension ID',
-                placeHolder: 'e.g., publisher.extension-name'
+            if (argument !== undefined) {
+                const [result] = await installFromArguments([argument]);
+                return result;
+            }
+            const input = await vscode.window.showInputBox({
+                prompt: 'Enter the Visual Studio Marketplace extension ID, or paste a marketplace URL or vscode:extension/ link',
+                placeHolder: 'e.g., publisher.extension-name',
+                validateInput: value => !value.trim() || parseExtensionReference(value) ?
+                    undefined :
+                    "Use the 'publisher.extension-name' format (letters, digits and hyphens, with one dot in between), or a marketplace link."
             });
-            if (extensionId) {
-                await installExtension(extensionId, installerCmd);
+            const reference = parseExtensionReference(input);
+            if (!reference) {
+                return;
+            }
+            const { extensionId } = reference;
+            if (reference.version) {
+                // Pinned in the input ('publisher.name@1.2.3'); no need to ask
+                await installExtension(extensionId, reference.version);
+                return;
+            }
+            const selection = await pickVersion(extensionId, { offerLatest: true });
+            if (selection) {
+                await installExtension(extensionId, selection.version);
             }
         } catch (error) {
-            vscode.window.showErrorMessage(`Could not run installer: ${error.message}`);
+            vscode.window.showErrorMessage(`Could not run installer: ${toInstallError(error).message}`);
             console.error('Error from installFromInput command:', error);
         }
     }));
     console.log('Command "marketplace-installer.installFromInput" registered.');
+
+    // With an array argument, installs those extensions without asking
+    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.installExtensions', async argument => {
+        try {
+            if (argument !== undefined) {
+                return await installFromArguments(Array.isArray(argument) ? argument : [argument]);
+            }
+            return await installSeveralFromInput();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not run installer: ${toInstallError(error).message}`);
+            console.error('Error from installExtensions command:', error);
+        }
+    }));
+
+    // Install links: <scheme>://cooligula.marketplace-installer/install?id=publisher.name&version=1.2.3
+    context.subscriptions.push(vscode.window.registerUriHandler({ handleUri }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.checkForUpdates', async () => {
+        try {
+            await checkForUpdates(provider);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Update check failed: ${error.message}`);
+            console.error('Error from checkForUpdates command:', error);
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.updateAll', async () => {
+        try {
+            const outdated = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: 'Checking for extension updates...',
+                cancellable: false
+            }, () => provider.checkForUpdates());
+            if (outdated.length === 0) {
+                vscode.window.showInformationMessage('All extensions are up to date.');
+                return;
+            }
+            await updateExtensions(outdated, installMany);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Update failed: ${error.message}`);
+            console.error('Error from updateAll command:', error);
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.installFromCache', async () => {
+        try {
+            await installFromCache();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not install from cache: ${error.message}`);
+            console.error('Error from installFromCache command:', error);
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.listCache', async () => {
+        try {
+            await listCache();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not read the VSIX cache: ${error.message}`);
+            console.error('Error from listCache command:', error);
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.pruneCache', async () => {
+        try {
+            const removed = await _vsixCache.prune();
+            vscode.window.showInformationMessage(`Removed ${removed} outdated package(s) from the VSIX cache.`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not prune the VSIX cache: ${error.message}`);
+            console.error('Error from pruneCache command:', error);
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.clearCache', async () => {
+        const confirmation = await vscode.window.showWarningMessage(
+            'Delete every cached VSIX package? Offline installs and rollbacks will need to download them again.',
+            { modal: true },
+            'Clear Cache'
+        );
+        if (confirmation !== 'Clear Cache') {
+            return;
+        }
+        try {
+            await _vsixCache.clear();
+            vscode.window.showInformationMessage('The VSIX cache was cleared.');
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not clear the VSIX cache: ${error.message}`);
+            console.error('Error from clearCache command:', error);
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.exportExtensions', async () => {
+        try {
+            await exportExtensions();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not export extensions: ${error.message}`);
+            console.error('Error from exportExtensions command:', error);
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.importExtensions', async () => {
+        try {
+            await importExtensions();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not import extensions: ${error.message}`);
+            console.error('Error from importExtensions command:', error);
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.showHistory', async () => {
+        await vscode.commands.executeCommand('marketplace-installer.view.focus');
+        provider.showHistory({ reveal: true });
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.showLog', () => {
+        _outputChannel.show();
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.importFromVSCode', async () => {
+        try {
+            await importFromVSCode();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not import from VS Code: ${error.message}`);
+            console.error('Error from importFromVSCode command:', error);
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('marketplace-installer.installRecommendations', async () => {
+        try {
+            const missing = await findMissingRecommendations();
+            provider.showRecommendations(missing);
+            if (!missing.some(recommendation => recommendation.isAvailable)) {
+                vscode.window.showInformationMessage('All workspace recommendations available from the marketplace are installed.');
+                return;
+            }
+            await provider.installRecommendations();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not install workspace recommendations: ${error.message}`);
+            console.error('Error from installRecommendations command:', error);
+        }
+    }));
+
+    // Workspace recommendations: offered when a workspace opens, kept up to date in the sidebar afterwards
+    const refreshRecommendations = prompt => checkRecommendations(provider, { prompt }).catch(error => {
+        console.error('Could not check workspace recommendations:', error);
+    });
+    const recommendationsWatcher = vscode.workspace.createFileSystemWatcher('**/.vscode/extensions.json');
+    context.subscriptions.push(
+        recommendationsWatcher,
+        recommendationsWatcher.onDidChange(() => refreshRecommendations(false)),
+        recommendationsWatcher.onDidCreate(() => refreshRecommendations(false)),
+        recommendationsWatcher.onDidDelete(() => refreshRecommendations(false)),
+        vscode.workspace.onDidChangeWorkspaceFolders(() => refreshRecommendations(true)),
+        vscode.extensions.onDidChange(() => refreshRecommendations(false))
+    );
+    refreshRecommendations(true);
+
+    // Background update checks, restarted whenever their settings change
+    let updateSchedule = scheduleUpdateChecks(provider);
+    context.subscriptions.push(
+        { dispose: () => updateSchedule.dispose() },
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('marketplace-installer.autoCheckUpdates') ||
+                event.affectsConfiguration('marketplace-installer.updateCheckIntervalHours')) {
+                updateSchedule.dispose();
+                updateSchedule = scheduleUpdateChecks(provider);
+            }
+        })
+    );
+
+    _api = createApi({
+        marketplaceClient: _marketplaceClient,
+        openVsxClient: _openVsxClient,
+        installExtension,
+        installMany,
+        findUpdates: () => provider.checkForUpdates()
+    });
+    return _api;
 }
 
 /**
  * Called when the extension is deactivated.
  */
 function deactivate() {
+    _installQueue.cancelAll();
     console.log('Marketplace Installer extension deactivated.');
 }
 
@@ -0,0 +1,79 @@
+const { isValidExtensionId } = require('./MarketplaceClient');
+const { InstallError, InvalidExtensionIdError } = require('./errors');
+
+// `vscode:extension/publisher.name` links, in any editor's scheme (vscode-insiders:, vscodium:, cursor:...)
+const EXTENSION_LINK_PATTERN = /^[a-z][a-z0-9+.-]*:\/?\/?extension\/([^/?#\s]+)\/?$/i;
+
+// Published versions start with a digit (e.g. '1.2.3' or '2.0.0-beta.1')
+const VERSION_PATTERN = /^\d[\w.+-]*$/;
+
+/**
+ * Works out which extension a user refers to, from an ID or a link shared by someone else.
+ * Accepted forms:
+ * - an ID, optionally with a version: `publisher.name` or `publisher.name@1.2.3`;
+ * - a marketplace page URL: `https://marketplace.visualstudio.com/items?itemName=publisher.name`
+ *   (any URL with an `itemName` parameter, so gallery mirrors work too);
+ * - an editor link: `vscode:extension/publisher.name` (or another editor's scheme).
+ * @param {string} input What the user typed or pasted.
+ * @returns {{extensionId: string, version?: string, isLink: boolean}|undefined} The extension, with `isLink` set
+ * when it was resolved from a URL or link. Undefined if the input refers to no valid extension ID.
+ */
+function parseExtensionReference(input) {
+    const text = String(input || '').trim();
+    if (!text) {
+        return undefined;
+    }
+
+    const atIndex = text.lastIndexOf('@');
+    const [id, version] = atIndex > 0 ? [text.slice(0, atIndex), text.slice(atIndex + 1)] : [text, undefined];
+    if (isValidExtensionId(id) && (version === undefined || VERSION_PATTERN.test(version))) {
+        return { extensionId: id, version, isLink: false };
+    }
+
+    const link = EXTENSION_LINK_PATTERN.exec(text);
+    if (link) {
+        const extensionId = decodeURIComponent(link[1]);
+        return isValidExtensionId(extensionId) ? { extensionId, isLink: true } : undefined;
+    }
+
+    let url;
+    try {
+        url = new URL(text);
+    } catch (error) {
+        return undefined;
+    }
+    const itemName = url.searchParams.get('itemName');
+    if ((url.protocol === 'https:' || url.protocol === 'http:') && isValidExtensionId(itemName)) {
+        return { extensionId: itemName, isLink: true };
+    }
+    return undefined;
+}
+
+/**
+ * Reads the install request of a URI opened for this extension:
+ * `<scheme>://cooligula.marketplace-installer/install?id=publisher.name&version=1.2.3`.
+ * @param {{path: string, query: string}} uri The URI passed to the URI handler.
+ * @returns {{extensionId: string, version?: string}} The extension to install; `version` defaults to the latest.
+ * @throws {InvalidExtensionIdError|InstallError} If the URI carries an invalid extension ID, or is not a valid
+ * install request (code 'invalidLink').
+ */
+function parseInstallUri(uri) {
+    if (uri.path.replace(/\/+$/, '') !== '/install') {
+        throw new InstallError('invalidLink', `Unsupported link "${uri.path}"; only "/install?id=publisher.extension-name" is handled.`);
+    }
+    const params = new URLSearchParams(uri.query);
+    const extensionId = (params.get('id') || '').trim();
+    const version = (params.get('version') || '').trim() || undefined;
+    if (!isValidExtensionId(extensionId)) {
+        throw new InvalidExtensionIdError(extensionId);
+    }
+    if (version !== undefined && !VERSION_PATTERN.test(version)) {
+        throw new InstallError('invalidLink', `The link names an invalid version ("${version}").`);
+    }
+    return { extensionId, version };
+}
+
+module.exports = {
+    parseExtensionReference,
+    parseInstallUri
+};
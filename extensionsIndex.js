@@ -0,0 +1,53 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Reads a JSON file, returning undefined if it does not exist.
+ * @param {string} filePath
+ * @returns {Promise<any>}
+ */
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return undefined;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Lists the extensions recorded in an editor's extensions directory (e.g., `~/.vscode/extensions`).
+ * The directory's `extensions.json` index lists every installed extension, including disabled ones;
+ * extensions that were uninstalled but not yet removed from disk (listed in `.obsolete`) are skipped.
+ * @param {string} extensionsDir The extensions directory.
+ * @returns {Promise<Array<{id: string, version: string, location: string|undefined}>>} The installed extensions,
+ * or an empty array if the directory has no index (editors before 1.74).
+ */
+async function readExtensionsIndex(extensionsDir) {
+    const entries = await readJson(path.join(extensionsDir, 'extensions.json'));
+    if (!Array.isArray(entries)) {
+        return [];
+    }
+    const obsolete = await readJson(path.join(extensionsDir, '.obsolete')).catch(() => undefined) || {};
+
+    const extensions = [];
+    for (const entry of entries) {
+        if (!entry || !entry.identifier || !entry.identifier.id || !entry.version) {
+            continue;
+        }
+        const location = entry.relativeLocation ?
+            path.join(extensionsDir, entry.relativeLocation) :
+            entry.location && (entry.location.fsPath || entry.location.path);
+        if (location && obsolete[path.basename(location)]) {
+            continue;
+        }
+        extensions.push({ id: entry.identifier.id, version: entry.version, location });
+    }
+    return extensions;
+}
+
+module.exports = {
+    readExtensionsIndex
+};
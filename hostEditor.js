@@ -0,0 +1,112 @@
+const path = require('path');
+const fs = require('fs');
+
+// Command line launchers of known editors, by the name they report in `vscode.env.appName`.
+// Longer names come first, so 'VSCodium - Insiders' is not mistaken for 'VSCodium'.
+const KNOWN_EDITORS = [
+    { appName: 'Visual Studio Code - Insiders', cli: 'code-insiders' },
+    { appName: 'Visual Studio Code', cli: 'code' },
+    { appName: 'VSCodium - Insiders', cli: 'codium-insiders' },
+    { appName: 'VSCodium', cli: 'codium' },
+    { appName: 'Code - OSS', cli: 'code-oss' },
+    { appName: 'Windsurf - Next', cli: 'windsurf-next' },
+    { appName: 'Windsurf', cli: 'windsurf' },
+    { appName: 'Cursor', cli: 'cursor' },
+    { appName: 'Positron', cli: 'positron' },
+    { appName: 'Trae', cli: 'trae' }
+];
+
+/**
+ * Guesses the name of an editor's command line launcher.
+ * The `applicationName` of the editor's `product.json` is the launcher's name; without it, the editor is
+ * recognized by its display name, and as a last resort the name of its executable is used.
+ * @param {{appName?: string, applicationName?: string, execPath?: string}} host What is known about the editor.
+ * @returns {string|undefined}
+ */
+function guessCliName(host) {
+    if (host.applicationName) {
+        return host.applicationName;
+    }
+    const known = KNOWN_EDITORS.find(editor => host.appName && host.appName.startsWith(editor.appName));
+    if (known) {
+        return known.cli;
+    }
+    const executable = host.execPath && path.basename(host.execPath, path.extname(host.execPath)).toLowerCase();
+    // The extension host may run in a plain Node.js process, whose name says nothing about the editor
+    return executable && executable !== 'node' && !executable.endsWith('helper') ? executable : undefined;
+}
+
+/**
+ * Resolves the command line launcher of the running editor, so that command line installs go to this
+ * instance (e.g., a portable build or an Insiders release) rather than to whichever editor is on the PATH.
+ * @param {Object} host What is known about the editor.
+ * @param {string} host.platform The value of `process.platform`.
+ * @param {string} [host.appName] The value of `vscode.env.appName`.
+ * @param {string} [host.appRoot] The value of `vscode.env.appRoot`.
+ * @param {string} [host.execPath] The path of the editor's executable.
+ * @param {string} [host.applicationName] The `applicationName` of the editor's `product.json`.
+ * @param {string} [host.override] A launcher configured by the user, used as-is.
+ * @param {function(string): boolean} [exists] Tells whether a file exists. Defaults to checking the file system.
+ * @returns {{cli: string, source: 'setting'|'appRoot'|'path'}|undefined} The launcher to run, and how it was
+ * found: from the setting, next to the running editor, or by name from the PATH. Undefined if the editor is unknown.
+ */
+function resolveEditorCli(host, exists = fs.existsSync) {
+    if (host.override) {
+        return { cli: host.override, source: 'setting' };
+    }
+    const name = guessCliName(host);
+    if (!name) {
+        return undefined;
+    }
+    if (host.appRoot) {
+        // macOS bundles keep the launcher inside the app folder; other platforms two levels above it
+        const binDir = host.platform === 'darwin' ?
+            path.join(host.appRoot, 'bin') :
+            path.join(host.appRoot, '..', '..', 'bin');
+        const launcher = path.join(binDir, host.platform === 'win32' ? `${name}.cmd` : name);
+        if (exists(launcher)) {
+            return { cli: launcher, source: 'appRoot' };
+        }
+    }
+    return { cli: name, source: 'path' };
+}
+
+/**
+ * Reads the `applicationName` of an editor's `product.json`.
+ * @param {string} appRoot The editor's application root (`vscode.env.appRoot`).
+ * @returns {string|undefined}
+ */
+function readApplicationName(appRoot) {
+    try {
+        const product = JSON.parse(fs.readFileSync(path.join(appRoot, 'product.json'), 'utf8'));
+        return typeof product.applicationName === 'string' && product.applicationName ? product.applicationName : undefined;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Builds the arguments of the vsix-to-vscodium Python tool for an installation into an editor.
+ * @param {string} extensionId The full ID of the extension to install.
+ * @param {string} cli The editor's command line launcher.
+ * @param {{version?: string, targetPlatform?: string}} [options] The exact version to install (defaults to the
+ * latest) and the platform-specific build (the universal one if unset).
+ * @returns {string[]}
+ */
+function buildPythonInstallerArgs(extensionId, cli, options = {}) {
+    const args = [extensionId, '--ide', cli];
+    if (options.version) {
+        args.push('--extension-version', options.version);
+    }
+    if (options.targetPlatform && options.targetPlatform !== 'universal') {
+        args.push('--target-platform', options.targetPlatform);
+    }
+    return args;
+}
+
+module.exports = {
+    guessCliName,
+    resolveEditorCli,
+    readApplicationName,
+    buildPythonInstallerArgs
+};
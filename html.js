@@ -0,0 +1,151 @@
+/**
+ * Escapes a string for use in HTML text and attribute values.
+ * @param {string} value The raw string.
+ * @returns {string} The escaped string.
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Tags kept by `sanitizeHtml`, with the attributes each may keep ('*' applies to all of them)
+const ALLOWED_TAGS = {
+    '*': ['title'],
+    a: ['href'],
+    img: ['src', 'alt', 'width', 'height', 'align'],
+    p: ['align'], div: ['align'], h1: ['align'], h2: ['align'], h3: ['align'], h4: ['align'], h5: ['align'], h6: ['align'],
+    td: ['align', 'colspan', 'rowspan'], th: ['align', 'colspan', 'rowspan'],
+    ol: ['start'],
+    details: ['open'],
+    code: ['class'], span: ['class'], pre: ['class'],
+    abbr: [], b: [], blockquote: [], br: [], caption: [], dd: [], del: [], dl: [], dt: [], em: [], hr: [], i: [],
+    ins: [], kbd: [], li: [], mark: [], s: [], small: [], strong: [], sub: [], summary: [], sup: [],
+    table: [], tbody: [], tfoot: [], thead: [], tr: [], ul: []
+};
+
+// Elements without content or closing tag
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+// Elements dropped together with their content
+const DROPPED_CONTENT_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math']);
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>|</g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Decodes the character references of an attribute value.
+ * @param {string} value The value as written in the HTML.
+ * @returns {string}
+ */
+function decodeEntities(value) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+    return value.replace(/&(?:#(\d+)|#x([0-9a-f]+)|(\w+));?/gi, (match, decimal, hex, name) => {
+        if (decimal || hex) {
+            const codePoint = parseInt(decimal || hex, decimal ? 10 : 16);
+            return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '';
+        }
+        return named[name.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Checks an attribute value, dropping links and images that leave the allowed schemes.
+ * @param {string} name The lowercase attribute name.
+ * @param {string} value The decoded value.
+ * @returns {boolean}
+ */
+function isAllowedValue(name, value) {
+    // Browsers ignore whitespace and control characters inside a scheme
+    const url = [...value].filter(char => char.charCodeAt(0) > 0x20).join('').toLowerCase();
+    if (name === 'href') {
+        return /^(https?:|mailto:|#)/.test(url);
+    }
+    if (name === 'src') {
+        return /^(https:|data:image\/)/.test(url);
+    }
+    if (name === 'class') {
+        // Only syntax highlighting classes, so documents cannot borrow the panel's own styles
+        return value.split(/\s+/).filter(Boolean).every(className => /^(hljs|language-)[\w-]*$/.test(className));
+    }
+    return true;
+}
+
+/**
+ * Rebuilds an opening tag with the allowed attributes only.
+ * @param {string} tag The lowercase tag name.
+ * @param {string} attributes The attributes as written in the HTML.
+ * @returns {string}
+ */
+function buildOpeningTag(tag, attributes) {
+    const allowed = [...ALLOWED_TAGS['*'], ...ALLOWED_TAGS[tag]];
+    let result = `<${tag}`;
+    for (const [, rawName, doubleQuoted, singleQuoted, unquoted] of attributes.matchAll(ATTRIBUTE_PATTERN)) {
+        const name = rawName.toLowerCase();
+        const value = decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+        if (allowed.includes(name) && isAllowedValue(name, value)) {
+            result += ` ${name}="${escapeHtml(value)}"`;
+        }
+    }
+    return `${result}>`;
+}
+
+/**
+ * Reduces rendered markdown to an allow-list of formatting tags, so that raw HTML in a document (README,
+ * changelog) cannot restyle or overlay the page showing it: `style` and `class` attributes, forms, frames and
+ * scripts are dropped, links keep http(s) and mailto targets only, and images https and data URLs only.
+ * Unknown tags are dropped but keep their text; tags left open are closed.
+ * @param {string} html The HTML to sanitize. Text outside tags must already be escaped.
+ * @returns {string} The sanitized HTML.
+ */
+function sanitizeHtml(html) {
+    let result = '';
+    let lastIndex = 0;
+    let droppedTag; // Set while skipping the content of a DROPPED_CONTENT_TAGS element
+    const open = []; // Allowed elements not closed yet, innermost last
+
+    for (const match of String(html ?? '').matchAll(TOKEN_PATTERN)) {
+        const [token, closing, rawTag, attributes = ''] = match;
+        const tag = rawTag?.toLowerCase();
+        if (!droppedTag) {
+            result += html.slice(lastIndex, match.index);
+        }
+        lastIndex = match.index + token.length;
+
+        if (droppedTag) {
+            if (closing && tag === droppedTag) {
+                droppedTag = undefined;
+            }
+        } else if (token === '<') {
+            result += '&lt;';
+        } else if (!tag) {
+            // A comment
+        } else if (DROPPED_CONTENT_TAGS.has(tag)) {
+            droppedTag = closing ? undefined : tag;
+        } else if (!Object.hasOwn(ALLOWED_TAGS, tag)) {
+            // Unknown tags are dropped, their content is kept
+        } else if (closing) {
+            const index = open.lastIndexOf(tag);
+            if (index >= 0) {
+                result += open.splice(index).reverse().map(name => `</${name}>`).join('');
+            }
+        } else {
+            result += buildOpeningTag(tag, attributes);
+            if (!VOID_TAGS.has(tag)) {
+                open.push(tag);
+            }
+        }
+    }
+    if (!droppedTag) {
+        result += html.slice(lastIndex);
+    }
+    return result + open.reverse().map(name => `</${name}>`).join('');
+}
+
+module.exports = {
+    escapeHtml,
+    sanitizeHtml
+};
@@ -0,0 +1,87 @@
+const axios = require('axios');
+const https = require('https');
+const tls = require('tls');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { NetworkError } = require('./errors');
+
+/**
+ * Picks the proxy to use: the extension's own setting, then the editor-wide `http.proxy`, then the
+ * `HTTPS_PROXY` environment variable.
+ * @param {{proxy?: string, httpProxy?: string}} settings The `marketplace-installer.proxy` and `http.proxy` settings.
+ * @param {Object<string, string|undefined>} [env] The environment variables. Defaults to `process.env`.
+ * @returns {string|undefined} The URL of the proxy, or undefined to connect directly.
+ */
+function resolveProxy(settings, env = process.env) {
+    return settings.proxy || settings.httpProxy || env.HTTPS_PROXY || env.https_proxy || undefined;
+}
+
+/**
+ * Creates the HTTP client used for requests to an extension gallery.
+ * @param {Object} settings The network settings.
+ * @param {Object<string, string>} [settings.headers] Headers sent with every request.
+ * @param {string} [settings.proxy] URL of the HTTP(S) proxy to use, if any.
+ * @param {boolean} [settings.strictSSL] Whether to reject servers with an untrusted certificate. Defaults to true.
+ * @param {string} [settings.caBundle] Path of a PEM file with extra certificate authorities to trust.
+ * @returns {import('axios').AxiosInstance}
+ * @throws {NetworkError} If the CA bundle cannot be read.
+ */
+function createHttpClient(settings) {
+    const tlsOptions = { rejectUnauthorized: settings.strictSSL !== false };
+    if (settings.caBundle) {
+        try {
+            // Extend Node's default roots rather than replacing them
+            tlsOptions.ca = [...tls.rootCertificates, fs.readFileSync(settings.caBundle, 'utf8')];
+        } catch (error) {
+            throw new NetworkError(`Could not read CA bundle ${settings.caBundle}: ${error.message}`, { cause: error });
+        }
+    }
+
+    const proxyAgent = settings.proxy ? new HttpsProxyAgent(settings.proxy, tlsOptions) : undefined;
+    return axios.create({
+        headers: settings.headers,
+        // axios' built-in proxy support cannot tunnel HTTPS, so proxies go through an agent instead
+        proxy: false,
+        httpsAgent: proxyAgent || new https.Agent(tlsOptions),
+        httpAgent: proxyAgent
+    });
+}
+
+/**
+ * Streams a download to disk. A partially written file is removed if the download fails or is aborted.
+ * @param {import('axios').AxiosInstance} http The HTTP client to download with.
+ * @param {string} url The URL to download.
+ * @param {string} filePath The file to write.
+ * @param {{signal?: AbortSignal, onProgress?: function(number, number|undefined): void}} [options]
+ * `signal` aborts the download; `onProgress` receives the bytes received so far and the total size, when known.
+ * @returns {Promise<string>} The path of the written file.
+ */
+async function downloadToFile(http, url, filePath, options = {}) {
+    const response = await http.get(url, {
+        responseType: 'stream',
+        signal: options.signal
+    });
+    const total = parseInt(response.headers['content-length'], 10) || undefined;
+    let received = 0;
+    // Attached in the same tick as the pipeline below, so no chunk is missed by either
+    response.data.on('data', chunk => {
+        received += chunk.length;
+        if (options.onProgress) {
+            options.onProgress(received, total);
+        }
+    });
+    try {
+        await pipeline(response.data, fs.createWriteStream(filePath), { signal: options.signal });
+    } catch (error) {
+        await fs.promises.unlink(filePath).catch(() => {});
+        throw error;
+    }
+    return filePath;
+}
+
+module.exports = {
+    resolveProxy,
+    createHttpClient,
+    downloadToFile
+};
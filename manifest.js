@@ -0,0 +1,100 @@
+const { isValidExtensionId } = require('./MarketplaceClient');
+
+const MANIFEST_VERSION = 1;
+
+const SOURCES = ['marketplace', 'local', 'unknown'];
+
+/**
+ * Builds an extension set manifest.
+ * @param {Array<{id: string, version: string, source: string, enabled: boolean}>} extensions The extensions to record.
+ * `source` is 'marketplace' for extensions published on the marketplace, 'local' for extensions installed from
+ * elsewhere (e.g., a `.vsix` file) and 'unknown' when the marketplace could not be reached.
+ * @returns {{manifestVersion: number, exportedAt: string, extensions: Array<Object>}}
+ */
+function createManifest(extensions) {
+    return {
+        manifestVersion: MANIFEST_VERSION,
+        exportedAt: new Date().toISOString(),
+        extensions: extensions
+            .map(({ id, version, source, enabled }) => ({ id, version, source, enabled }))
+            .sort((a, b) => a.id.localeCompare(b.id))
+    };
+}
+
+/**
+ * Parses and validates an extension set manifest.
+ * @param {string} text The JSON content of the manifest file.
+ * @returns {{manifestVersion: number, exportedAt?: string, extensions: Array<{id: string, version?: string, source: string, enabled: boolean}>}}
+ * @throws {Error} If the file is not a manifest, was written by a newer version, or has invalid entries.
+ */
+function parseManifest(text) {
+    let manifest;
+    try {
+        manifest = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The manifest is not valid JSON: ${error.message}`);
+    }
+    if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.extensions)) {
+        throw new Error('The file is not an extension manifest: it has no "extensions" list.');
+    }
+    if (!Number.isInteger(manifest.manifestVersion) || manifest.manifestVersion < 1) {
+        throw new Error('The manifest has no valid "manifestVersion".');
+    }
+    if (manifest.manifestVersion > MANIFEST_VERSION) {
+        throw new Error(`The manifest uses format version ${manifest.manifestVersion}, but only version ${MANIFEST_VERSION} is supported. Please update the extension.`);
+    }
+
+    const extensions = manifest.extensions.map((entry, index) => {
+        if (!entry || !isValidExtensionId(entry.id)) {
+            throw new Error(`Entry ${index + 1} of the manifest has no valid extension ID (expected "publisher.name").`);
+        }
+        if (entry.version !== undefined && typeof entry.version !== 'string') {
+            throw new Error(`The version of "${entry.id}" in the manifest must be a string.`);
+        }
+        return {
+            id: entry.id,
+            version: entry.version || undefined,
+            source: SOURCES.includes(entry.source) ? entry.source : 'unknown',
+            enabled: entry.enabled !== false
+        };
+    });
+    return { ...manifest, extensions };
+}
+
+/**
+ * Compares a manifest with the installed extensions and decides what to install.
+ * Only missing extensions are installed, at their pinned version; installed extensions are never changed.
+ * @param {{extensions: Array<{id: string, version?: string, source: string, enabled: boolean}>}} manifest A parsed manifest.
+ * @param {Map<string, string>} installedVersions The installed version of each extension, keyed by lowercase ID.
+ * @returns {{install: Array<Object>, skipped: Array<{entry: Object, reason: string}>}}
+ */
+function planManifestImport(manifest, installedVersions) {
+    const install = [];
+    const skipped = [];
+    const seen = new Set();
+
+    for (const entry of manifest.extensions) {
+        const key = entry.id.toLowerCase();
+        const installedVersion = installedVersions.get(key);
+        if (seen.has(key)) {
+            skipped.push({ entry, reason: 'listed more than once' });
+        } else if (installedVersion === undefined && entry.source === 'local') {
+            skipped.push({ entry, reason: 'not published on the marketplace' });
+        } else if (installedVersion === undefined) {
+            install.push(entry);
+        } else if (!entry.version || installedVersion === entry.version) {
+            skipped.push({ entry, reason: 'already installed' });
+        } else {
+            skipped.push({ entry, reason: `already installed at version ${installedVersion}` });
+        }
+        seen.add(key);
+    }
+    return { install, skipped };
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    createManifest,
+    parseManifest,
+    planManifestImport
+};
@@ -5,31 +5,157 @@
     // Get references to HTML elements
     const searchInput = document.getElementById('search-input');
     const searchButton = document.getElementById('search-button');
+    const categorySelect = document.getElementById('category-select');
+    const tagInput = document.getElementById('tag-input');
+    const sortSelect = document.getElementById('sort-select');
     const resultsContainer = document.getElementById('results-container');
     const infoMessage = document.getElementById('info-message');
+    const updatesContainer = document.getElementById('updates-container');
+    const checkUpdatesButton = document.getElementById('check-updates-button');
+    const updateAllButton = document.getElementById('update-all-button');
+    const recommendationsSection = document.getElementById('recommendations-section');
+    const recommendationsContainer = document.getElementById('recommendations-container');
+    const installRecommendationsButton = document.getElementById('install-recommendations-button');
+    const installedTab = document.getElementById('installed-tab');
+    const installedContainer = document.getElementById('installed-container');
+    const refreshInstalledButton = document.getElementById('refresh-installed-button');
+    const historyTab = document.getElementById('history-tab');
+    const historyContainer = document.getElementById('history-container');
+    const clearHistoryButton = document.getElementById('clear-history-button');
+    const selectionBar = document.getElementById('selection-bar');
+    const selectionCount = document.getElementById('selection-count');
+    const installSelectedButton = document.getElementById('install-selected-button');
+    const clearSelectionButton = document.getElementById('clear-selection-button');
+
+    // State of the paginated result list
+    let resultsList = null; // The <ul> holding all rendered pages
+    let renderedCount = 0; // Number of extensions rendered so far
+    let loadMoreFooter = null; // Footer holding the result counter and the "Load more" button
+    let isLoadingMore = false; // Prevents requesting the same page twice
+    let targetPlatform = ''; // Platform of the editor, as reported with the results
+    let hostVersion = ''; // Version of the editor, as reported with the results
+
+    // Results checked for "Install Selected", by lowercase ID; kept across searches so a setup can be gathered
+    // from several queries
+    const selectedExtensions = new Map();
+
+    // Request the next page as soon as the footer scrolls into view
+    const loadMoreObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            requestMoreResults();
+        }
+    });
+
+    // Typing pauses this long before the query is sent, so a search does not run for every keystroke
+    const SEARCH_DEBOUNCE_MS = 300;
+    let searchTimer = null;
+    let lastSearch = ''; // The search last sent, to skip repeating it
 
     /**
-     * Sends a search message to the extension.
+     * Sends a search message to the extension, with the current filters and sort order.
+     * An empty search shows the "Popular" / "Recently updated" landing view.
+     * @param {boolean} [live] Set for searches run while typing; those are skipped when nothing changed.
      */
-    function performSearch() {
+    function performSearch(live = false) {
+        clearTimeout(searchTimer);
         const query = searchInput.value.trim();
-        if (query) {
-            console.log('Webview: Search button clicked. Sending "search" message to extension.', { query }); // Debugging
-            // Send message to extension host
-            vscode.postMessage({ type: 'search', value: query });
-        } else {
-            console.log('Webview: Search input is empty.'); // Debugging
-            resultsContainer.innerHTML = '<p id="info-message">Please enter a search term.</p>';
+        const filters = {
+            category: categorySelect.value,
+            tag: tagInput.value.trim(),
+            sort: sortSelect.value
+        };
+        const searchKey = JSON.stringify({ query, filters });
+        if (live && searchKey === lastSearch) {
+            return;
         }
+        lastSearch = searchKey;
+        console.log('Webview: Sending "search" message to extension.', { query, filters }); // Debugging
+        // Send message to extension host
+        vscode.postMessage({ type: 'search', value: query, filters, live });
     }
 
+    /**
+     * Runs a live search once typing pauses.
+     */
+    function scheduleSearch() {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => performSearch(true), SEARCH_DEBOUNCE_MS);
+    }
+
+    // Last known installation state per extension (lowercase ID), so re-rendered results stay accurate
+    const installStates = new Map();
+    // States in which clicking the button cancels the installation; the editor's own install step cannot be interrupted
+    const CANCELLABLE_STATES = ['queued', 'resolving', 'downloading'];
+
     // Add event listeners for search input and button
-    searchButton.addEventListener('click', performSearch);
+    searchButton.addEventListener('click', () => performSearch());
     searchInput.addEventListener('keydown', (event) => {
         if (event.key === 'Enter') {
             performSearch();
         }
     });
+    searchInput.addEventListener('input', scheduleSearch);
+    tagInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            performSearch();
+        }
+    });
+    tagInput.addEventListener('input', scheduleSearch);
+    categorySelect.addEventListener('change', () => performSearch());
+    sortSelect.addEventListener('change', () => performSearch());
+
+    checkUpdatesButton.addEventListener('click', () => {
+        console.log('Webview: Sending "checkUpdates" message to extension.'); // Debugging
+        vscode.postMessage({ type: 'checkUpdates' });
+    });
+    updateAllButton.addEventListener('click', () => {
+        console.log('Webview: Sending "updateAll" message to extension.'); // Debugging
+        updatesContainer.querySelectorAll('.update-button').forEach(button => setUpdating(button));
+        updateAllButton.disabled = true;
+        vscode.postMessage({ type: 'updateAll' });
+    });
+
+    installSelectedButton.addEventListener('click', () => {
+        const selection = [...selectedExtensions.values()];
+        console.log('Webview: Sending "installSelected" message for:', selection); // Debugging
+        vscode.postMessage({ type: 'installSelected', value: selection });
+        clearSelection();
+    });
+    clearSelectionButton.addEventListener('click', clearSelection);
+
+    installRecommendationsButton.addEventListener('click', () => {
+        console.log('Webview: Sending "installAllRecommendations" message to extension.'); // Debugging
+        vscode.postMessage({ type: 'installAllRecommendations' });
+    });
+
+    /**
+     * Switches to a tab: the marketplace, the extensions installed through this tool, or the install history.
+     * @param {string} tabId The ID of the tab panel.
+     */
+    function showTab(tabId) {
+        document.querySelectorAll('.view-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.tab === tabId));
+        document.querySelectorAll('.tab-panel').forEach(panel => {
+            panel.hidden = panel.id !== tabId;
+        });
+        if (tabId === 'installed-tab') {
+            vscode.postMessage({ type: 'getInstalled' });
+        } else if (tabId === 'history-tab') {
+            vscode.postMessage({ type: 'getHistory' });
+        }
+    }
+
+    document.querySelectorAll('.view-tab').forEach(tab => {
+        tab.addEventListener('click', () => showTab(tab.dataset.tab));
+    });
+    refreshInstalledButton.addEventListener('click', () => {
+        vscode.postMessage({ type: 'getInstalled' });
+    });
+    clearHistoryButton.addEventListener('click', () => {
+        vscode.postMessage({ type: 'clearHistory' });
+    });
+
+    // Start with the landing view instead of an empty list
+    performSearch();
 
     // Handle messages received from the extension host
     window.addEventListener('message', event => {
@@ -41,7 +167,13 @@
                 resultsContainer.innerHTML = '<p>Loading...</p>';
                 break;
             case 'showResults':
-                renderResults(message.value);
+                targetPlatform = message.targetPlatform || targetPlatform;
+                hostVersion = message.hostVersion || hostVersion;
+                renderResults(message.value, message);
+                break;
+            case 'loadMoreFailed':
+                isLoadingMore = false;
+                updateLoadMoreFooter(true, null, message.value);
                 break;
             case 'showError':
                 resultsContainer.innerHTML = `<p class="error">${message.value}</p>`;
@@ -49,93 +181,729 @@
             case 'showInfo':
                 resultsContainer.innerHTML = `<p id="info-message">${message.message}</p>`;
                 break;
+            case 'setUpdatesLoading':
+                updateAllButton.hidden = true;
+                updatesContainer.innerHTML = '<p class="section-info">Checking for updates...</p>';
+                break;
+            case 'showUpdates':
+                renderUpdates(message.value);
+                break;
+            case 'showUpdatesError':
+                showSectionError(updatesContainer, message.value);
+                break;
+            case 'setInstalledLoading':
+                if (!installedContainer.hasChildNodes()) {
+                    installedContainer.innerHTML = '<p class="section-info">Loading installed extensions...</p>';
+                }
+                break;
+            case 'showInstalled':
+                renderInstalled(message.value);
+                break;
+            case 'showInstalledError':
+                showSectionError(installedContainer, message.value);
+                break;
+            case 'showRecommendations':
+                renderRecommendations(message.value);
+                break;
+            case 'showTab':
+                showTab(message.value);
+                break;
+            case 'showHistory':
+                renderHistory(message.value);
+                break;
+            case 'installState': {
+                // Live state of a queued or running installation
+                const extensionId = message.value || '';
+                installStates.set(extensionId.toLowerCase(), { state: message.state, percent: message.percent });
+                document.querySelectorAll(`button[data-extension-id="${CSS.escape(extensionId)}"]`)
+                    .forEach(button => applyInstallState(button));
+                if (message.state === 'failed' || message.state === 'cancelled') {
+                    updateAllButton.disabled = false;
+                }
+                if (message.state === 'installed' && !installedTab.hidden) {
+                    // Show the new version in the "Installed" tab
+                    vscode.postMessage({ type: 'getInstalled' });
+                }
+                if (['installed', 'failed', 'cancelled'].includes(message.state) && !historyTab.hidden) {
+                    vscode.postMessage({ type: 'getHistory' });
+                }
+                break;
+            }
         }
     });
 
     /**
      * Renders the search results (list of extensions) in the webview.
      * @param {Array<Object>} extensions An array of extension objects.
+     * @param {{append?: boolean, totalCount?: number, hasMore?: boolean}} [page] Paging information of the results.
      */
-    function renderResults(extensions) {
-        if (!extensions || extensions.length === 0) {
-            resultsContainer.innerHTML = '<p>No extensions found.</p>';
+    function renderResults(extensions, page = {}) {
+        isLoadingMore = false;
+
+        if (!page.append) {
+            loadMoreObserver.disconnect();
+            resultsList = null;
+            loadMoreFooter = null;
+            renderedCount = 0;
+
+            if (!extensions || extensions.length === 0) {
+                resultsContainer.innerHTML = '<p>No extensions found.</p>';
+                return;
+            }
+
+            resultsContainer.innerHTML = ''; // Clear previous results
+            if (page.landing) {
+                resultsContainer.appendChild(createLandingHeader(page.landing));
+            }
+            if (page.sourceNotice) {
+                // One of the sources failed; the results come from the other one
+                const notice = document.createElement('p');
+                notice.className = 'source-notice';
+                notice.textContent = page.sourceNotice;
+                resultsContainer.appendChild(notice);
+            }
+            resultsList = document.createElement('ul');
+            resultsContainer.appendChild(resultsList);
+        }
+
+        (extensions || []).forEach(ext => {
+            resultsList.appendChild(createExtensionItem(ext));
+        });
+        renderedCount += (extensions || []).length;
+
+        updateLoadMoreFooter(page.hasMore, page.totalCount);
+    }
+
+    /**
+     * Shows how many results are selected, and the "Install Selected" action when there are any.
+     */
+    function updateSelectionBar() {
+        selectionBar.hidden = selectedExtensions.size === 0;
+        selectionCount.textContent = `${selectedExtensions.size} selected`;
+    }
+
+    /**
+     * Unchecks every selected result.
+     */
+    function clearSelection() {
+        selectedExtensions.clear();
+        resultsContainer.querySelectorAll('.result-checkbox').forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        updateSelectionBar();
+    }
+
+    /**
+     * Creates the list item for a single extension.
+     * @param {Object} ext An extension object sent by the extension host.
+     * @returns {HTMLLIElement}
+     */
+    function createExtensionItem(ext) {
+        const li = document.createElement('li');
+        li.className = 'extension-item';
+
+        const icon = document.createElement('img');
+        icon.className = 'extension-icon';
+        // Provide a fallback placeholder image if iconUrl is empty or fails to load
+        icon.src = ext.iconUrl || 'https://placehold.co/48x48/cccccc/000000?text=No+Icon';
+        icon.onerror = function() {
+            this.onerror=null; // Prevent infinite loop if fallback also fails
+            this.src='https://placehold.co/48x48/cccccc/000000?text=Error'; // Show error placeholder
+        };
+
+
+        const details = document.createElement('div');
+        details.className = 'extension-details';
+
+        const name = document.createElement('h3');
+        name.className = 'extension-name';
+        name.textContent = ext.displayName;
+
+        // Open the detail panel from the icon or the name; details come from the Visual Studio Marketplace
+        const isOnMarketplace = Boolean(ext.versions && ext.versions.marketplace);
+        if (isOnMarketplace) {
+            name.title = 'Show details';
+            const showDetails = () => {
+                console.log('Webview: Sending "showDetails" message for:', ext.extensionId); // Debugging
+                vscode.postMessage({ type: 'showDetails', value: ext.extensionId });
+            };
+            icon.addEventListener('click', showDetails);
+            name.addEventListener('click', showDetails);
+        } else {
+            name.classList.add('no-details');
+            icon.classList.add('no-details');
+        }
+
+        const publisherCode = document.createElement('p');
+        publisherCode.className = 'publisher-code'; // New class for the code part
+        publisherCode.innerHTML = `<code>${ext.extensionId}</code>`;
+
+        const publisherName = document.createElement('p');
+        publisherName.className = 'publisher-name'; // New class for the publisher name
+        publisherName.textContent = ext.publisherDisplayName;
+
+        const description = document.createElement('p');
+        description.className = 'description';
+        // Limit description to 2 lines and add ellipsis if longer
+        const maxLines = 2;
+        description.style.maxHeight = `${maxLines * 1.3}em`; // Using 1.3 as line-height from CSS
+        description.style.overflow = 'hidden';
+        description.style.textOverflow = 'ellipsis';
+        description.style.display = '-webkit-box';
+        description.style.webkitLineClamp = maxLines;
+        description.style.webkitBoxOrient = 'vertical';
+        description.textContent = ext.shortDescription;
+
+        // Where the extension is available, with the latest version on each side
+        const badges = document.createElement('div');
+        badges.className = 'source-badges';
+        [['marketplace', 'Marketplace'], ['openvsx', 'Open VSX']].forEach(([source, label]) => {
+            if (ext.versions && ext.versions[source]) {
+                const badge = document.createElement('span');
+                badge.className = `source-badge source-${source}`;
+                badge.textContent = `${label} ${ext.versions[source]}`;
+                badges.appendChild(badge);
+            }
+        });
+        appendTrustBadges(badges, ext);
+
+        // Available on both sources: let the user choose, preselecting the default
+        let sourceSelect = null;
+        if (ext.versions && ext.versions.marketplace && ext.versions.openvsx) {
+            sourceSelect = document.createElement('select');
+            sourceSelect.className = 'source-select';
+            sourceSelect.title = 'Install from';
+            [['openvsx', 'Open VSX'], ['marketplace', 'Marketplace']].forEach(([source, label]) => {
+                const option = document.createElement('option');
+                option.value = source;
+                option.textContent = `From ${label} (${ext.versions[source]})`;
+                option.selected = source === ext.defaultSource;
+                sourceSelect.appendChild(option);
+            });
+        }
+
+        const installButton = document.createElement('button');
+        installButton.className = 'install-button';
+        installButton.dataset.extensionId = ext.extensionId;
+
+        // Installable results can be checked and installed together in one batch
+        const key = ext.extensionId.toLowerCase();
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'result-checkbox';
+        checkbox.title = 'Select for "Install Selected"';
+        checkbox.setAttribute('aria-label', `Select ${ext.displayName}`);
+        checkbox.checked = selectedExtensions.has(key);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                selectedExtensions.set(key, { extensionId: ext.extensionId, source: sourceSelect ? sourceSelect.value : ext.defaultSource });
+            } else {
+                selectedExtensions.delete(key);
+            }
+            updateSelectionBar();
+        });
+        if (sourceSelect) {
+            sourceSelect.addEventListener('change', () => {
+                if (selectedExtensions.has(key)) {
+                    selectedExtensions.get(key).source = sourceSelect.value;
+                }
+            });
+        }
+        
+        // Check if extension is installed and update button
+        if (!ext.isPlatformSupported) {
+            installButton.textContent = 'Unavailable';
+            installButton.disabled = true;
+            installButton.title = `No build of this extension is published for ${targetPlatform}.`;
+            installButton.style.cursor = 'default'; // No pointer cursor
+        } else if (ext.isInstalled) {
+            installButton.textContent = 'Installed';
+            installButton.disabled = true;
+            installButton.style.backgroundColor = 'var(--vscode-button-secondaryBackground)'; // A different background for installed
+            installButton.style.color = 'var(--vscode-button-secondaryForeground)'; // Different text color
+            installButton.style.cursor = 'default'; // No pointer cursor
+        } else {
+            installButton.addEventListener('click', () => {
+                if (isCancellable(ext.extensionId)) {
+                    console.log('Webview: Install button clicked. Sending "cancelInstall" message for:', ext.extensionId); // Debugging
+                    vscode.postMessage({ type: 'cancelInstall', value: ext.extensionId });
+                    return;
+                }
+                const source = sourceSelect ? sourceSelect.value : ext.defaultSource;
+                console.log('Webview: Install button clicked. Sending "install" message for:', ext.extensionId, source); // Debugging
+                vscode.postMessage({ type: 'install', value: ext.extensionId, source });
+            });
+            applyInstallState(installButton);
+        }
+        
+        // Available for installed extensions too, so a previous release can be pinned
+        const versionButton = document.createElement('button');
+        versionButton.className = 'version-button';
+        versionButton.textContent = 'Install Another Version…';
+        versionButton.addEventListener('click', () => {
+            console.log('Webview: Version button clicked. Sending "installVersion" message for:', ext.extensionId); // Debugging
+            vscode.postMessage({ type: 'installVersion', value: ext.extensionId });
+        });
+
+        details.appendChild(name);
+        details.appendChild(publisherCode); // Append code first
+        details.appendChild(publisherName); // Then author name
+        details.appendChild(description);
+        details.appendChild(badges);
+        if (sourceSelect && ext.isPlatformSupported && !ext.isInstalled) {
+            details.appendChild(sourceSelect);
+        }
+        if (!ext.isPlatformSupported) {
+            const platformWarning = document.createElement('p');
+            platformWarning.className = 'platform-warning';
+            platformWarning.textContent = `Not available for ${targetPlatform}`;
+            details.appendChild(platformWarning);
+        } else if (isOnMarketplace) {
+            if (!ext.isEngineCompatible && !ext.isInstalled) {
+                const engineWarning = document.createElement('p');
+                engineWarning.className = 'platform-warning';
+                engineWarning.textContent = `Latest Marketplace version needs an editor matching ${ext.engine} (this one is ${hostVersion}); the newest compatible version will be installed.`;
+                details.appendChild(engineWarning);
+            }
+            details.appendChild(versionButton); // Versions are listed from the Visual Studio Marketplace
+        }
+
+        if (ext.isPlatformSupported && !ext.isInstalled) {
+            li.appendChild(checkbox);
+        } else {
+            li.classList.add('not-selectable');
+        }
+        li.appendChild(icon);
+        li.appendChild(details);
+        li.appendChild(installButton);
+        return li;
+    }
+
+    /**
+     * Adds the publisher verification, preview, license and license warning badges of a marketplace result.
+     * @param {HTMLElement} badges The badge row of the result.
+     * @param {Object} ext An extension object sent by the extension host.
+     */
+    function appendTrustBadges(badges, ext) {
+        const addBadge = (className, text, title) => {
+            const badge = document.createElement('span');
+            badge.className = `source-badge ${className}`;
+            badge.textContent = text;
+            badge.title = title;
+            badges.appendChild(badge);
+        };
+
+        if (ext.isDomainVerified && ext.publisherDomain) {
+            const domain = ext.publisherDomain.replace(/^https?:\/\//, '').replace(/\/$/, '');
+            addBadge('trust-verified', `✓ ${domain}`, `The publisher has verified that it owns ${domain}`);
+        } else if (ext.publisherFlags && ext.publisherFlags.includes('verified')) {
+            addBadge('trust-verified', '✓ Verified publisher', 'The publisher is verified by the Visual Studio Marketplace');
+        }
+        if (ext.isPreview) {
+            addBadge('trust-preview', 'Preview', 'The publisher marked this extension as a preview');
+        }
+        if (ext.hasLicenseWarning) {
+            addBadge('trust-warning', '⚠ License', 'The publisher or extension is on the license warning list: its license may forbid use outside Microsoft products. You will be asked to confirm the installation.');
+        }
+        if (ext.licenseUrl) {
+            const link = document.createElement('a');
+            link.className = 'source-badge trust-license';
+            link.href = ext.licenseUrl;
+            link.textContent = 'License';
+            link.title = 'Read the license terms';
+            badges.appendChild(link);
+        }
+    }
+
+    /**
+     * Creates the header of the landing view, which switches between popular and recently updated extensions.
+     * @param {string} sort The sort order of the landing view ('installs', 'updated', ...).
+     * @returns {HTMLElement}
+     */
+    function createLandingHeader(sort) {
+        const header = document.createElement('div');
+        header.className = 'landing-header';
+        [['installs', 'Popular'], ['updated', 'Recently updated']].forEach(([key, label]) => {
+            const tab = document.createElement('button');
+            tab.className = 'landing-tab';
+            tab.classList.toggle('active', key === sort);
+            tab.textContent = label;
+            tab.addEventListener('click', () => {
+                sortSelect.value = key;
+                performSearch();
+            });
+            header.appendChild(tab);
+        });
+        return header;
+    }
+
+    /**
+     * Replaces the content of a section with an error message. The message comes from the host (network or
+     * editor errors), so it is set as text, never parsed as HTML.
+     * @param {HTMLElement} container The section's container.
+     * @param {string} text The error message.
+     */
+    function showSectionError(container, text) {
+        const error = document.createElement('p');
+        error.className = 'error';
+        error.textContent = text;
+        container.replaceChildren(error);
+    }
+
+    /**
+     * Renders the outdated extensions in the "Updates" section.
+     * @param {Array<{extensionId: string, displayName: string, currentVersion: string, latestVersion: string}>} updates
+     */
+    function renderUpdates(updates) {
+        updatesContainer.innerHTML = '';
+        updateAllButton.hidden = !updates || updates.length === 0;
+        updateAllButton.disabled = false;
+
+        if (!updates || updates.length === 0) {
+            updatesContainer.innerHTML = '<p class="section-info">All extensions are up to date.</p>';
             return;
         }
 
-        resultsContainer.innerHTML = ''; // Clear previous results
         const list = document.createElement('ul');
+        updates.forEach(update => {
+            const li = document.createElement('li');
+            li.className = 'update-item';
+
+            const label = document.createElement('div');
+            label.className = 'update-label';
+            const name = document.createElement('span');
+            name.className = 'update-name';
+            name.textContent = update.displayName;
+            name.title = update.extensionId;
+            const versions = document.createElement('span');
+            versions.className = 'update-versions';
+            versions.textContent = `${update.currentVersion} → ${update.latestVersion}`;
+            label.appendChild(name);
+            label.appendChild(versions);
+
+            const updateButton = document.createElement('button');
+            updateButton.className = 'update-button';
+            updateButton.textContent = 'Update';
+            updateButton.dataset.extensionId = update.extensionId;
+            updateButton.dataset.action = 'update';
+            updateButton.addEventListener('click', () => {
+                if (isCancellable(update.extensionId)) {
+                    console.log('Webview: Sending "cancelInstall" message for:', update.extensionId); // Debugging
+                    vscode.postMessage({ type: 'cancelInstall', value: update.extensionId });
+                    return;
+                }
+                console.log('Webview: Sending "update" message for:', update.extensionId); // Debugging
+                setUpdating(updateButton);
+                vscode.postMessage({ type: 'update', value: update.extensionId });
+            });
+            applyInstallState(updateButton);
+
+            li.appendChild(label);
+            li.appendChild(updateButton);
+            list.appendChild(li);
+        });
+        updatesContainer.appendChild(list);
+    }
+
+    /**
+     * Renders the extensions installed through this tool in the "Installed" tab.
+     * @param {Array<{extensionId: string, displayName: string, installedVersion: string, latestVersion: string|undefined,
+     * source: string, isActive: boolean}>} extensions
+     */
+    function renderInstalled(extensions) {
+        installedContainer.innerHTML = '';
+        if (!extensions || extensions.length === 0) {
+            installedContainer.innerHTML = '<p class="section-info">No extensions were installed with Marketplace Installer yet.</p>';
+            return;
+        }
 
+        const list = document.createElement('ul');
         extensions.forEach(ext => {
             const li = document.createElement('li');
-            li.className = 'extension-item';
-
-            const icon = document.createElement('img');
-            icon.className = 'extension-icon';
-            // Provide a fallback placeholder image if iconUrl is empty or fails to load
-            icon.src = ext.iconUrl || 'https://placehold.co/48x48/cccccc/000000?text=No+Icon';
-            icon.onerror = function() {
-                this.onerror=null; // Prevent infinite loop if fallback also fails
-                this.src='https://placehold.co/48x48/cccccc/000000?text=Error'; // Show error placeholder
-            };
+            li.className = 'update-item installed-item';
 
+            const label = document.createElement('div');
+            label.className = 'update-label';
+            const name = document.createElement('span');
+            name.className = 'update-name';
+            name.textContent = ext.displayName;
+            name.title = ext.extensionId;
+            const versions = document.createElement('span');
+            versions.className = 'update-versions';
+            const sourceLabel = ext.source === 'openvsx' ? 'Open VSX' : ext.source === 'cache' ? 'VSIX cache' : 'Marketplace';
+            const latest = ext.latestVersion && ext.latestVersion !== ext.installedVersion ? ` (latest ${ext.latestVersion})` : '';
+            versions.textContent = `${ext.installedVersion}${latest} · ${sourceLabel}${ext.isActive ? '' : ' · not active (disabled or needs a reload)'}`;
+            label.appendChild(name);
+            label.appendChild(versions);
 
-            const details = document.createElement('div');
-            details.className = 'extension-details';
+            const actions = document.createElement('div');
+            actions.className = 'installed-actions';
+            if (ext.isOutdated) {
+                // Installs the latest version from the source the extension came from
+                const updateButton = document.createElement('button');
+                updateButton.className = 'update-button';
+                updateButton.dataset.extensionId = ext.extensionId;
+                updateButton.dataset.action = 'update';
+                updateButton.addEventListener('click', () => {
+                    if (isCancellable(ext.extensionId)) {
+                        vscode.postMessage({ type: 'cancelInstall', value: ext.extensionId });
+                        return;
+                    }
+                    vscode.postMessage({ type: 'install', value: ext.extensionId, source: ext.source === 'openvsx' ? 'openvsx' : 'marketplace' });
+                });
+                applyInstallState(updateButton);
+                actions.appendChild(updateButton);
+            }
+            [
+                ['Reinstall', 'reinstall', `Reinstall version ${ext.installedVersion}`],
+                ['Uninstall', 'uninstall', 'Uninstall this extension'],
+                ['Open', 'openInExtensionsView', 'Open in the Extensions view']
+            ].forEach(([text, type, title]) => {
+                const button = document.createElement('button');
+                button.className = 'section-button';
+                button.textContent = text;
+                button.title = title;
+                button.addEventListener('click', () => {
+                    console.log(`Webview: Sending "${type}" message for:`, ext.extensionId); // Debugging
+                    vscode.postMessage({ type, value: ext.extensionId });
+                });
+                actions.appendChild(button);
+            });
 
-            const name = document.createElement('h3');
-            name.textContent = ext.displayName;
+            li.appendChild(label);
+            li.appendChild(actions);
+            list.appendChild(li);
+        });
+        installedContainer.appendChild(list);
+    }
 
-            const publisherCode = document.createElement('p');
-            publisherCode.className = 'publisher-code'; // New class for the code part
-            publisherCode.innerHTML = `<code>${ext.extensionId}</code>`;
-
-            const publisherName = document.createElement('p');
-            publisherName.className = 'publisher-name'; // New class for the publisher name
-            publisherName.textContent = ext.publisherDisplayName;
-
-            const description = document.createElement('p');
-            description.className = 'description';
-            // Limit description to 2 lines and add ellipsis if longer
-            const maxLines = 2;
-            description.style.maxHeight = `${maxLines * 1.3}em`; // Using 1.3 as line-height from CSS
-            description.style.overflow = 'hidden';
-            description.style.textOverflow = 'ellipsis';
-            description.style.display = '-webkit-box';
-            description.style.webkitLineClamp = maxLines;
-            description.style.webkitBoxOrient = 'vertical';
-            description.textContent = ext.shortDescription;
-
-
-            const installButton = document.createElement('button');
-            installButton.className = 'install-button';
-            
-            // Check if extension is installed and update button
-            if (ext.isInstalled) {
-                installButton.textContent = 'Installed';
-                installButton.disabled = true;
-                installButton.style.backgroundColor = 'var(--vscode-button-secondaryBackground)'; // A different background for installed
-                installButton.style.color = 'var(--vscode-button-secondaryForeground)'; // Different text color
-                installButton.style.cursor = 'default'; // No pointer cursor
-            } else {
-                installButton.textContent = 'Install';
-                installButton.disabled = false;
+    /**
+     * Renders the install history in the "History" tab, with a rollback action for entries that replaced
+     * or removed a version.
+     * @param {Array<{id: string, timestamp: string, extensionId: string, oldVersion?: string, newVersion?: string,
+     * source: string, outcome: string, error?: string}>} entries The history, newest first.
+     */
+    function renderHistory(entries) {
+        historyContainer.innerHTML = '';
+        clearHistoryButton.hidden = !entries || entries.length === 0;
+        if (!entries || entries.length === 0) {
+            historyContainer.innerHTML = '<p class="section-info">Nothing was installed with Marketplace Installer yet.</p>';
+            return;
+        }
+
+        const list = document.createElement('ul');
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            li.className = `update-item installed-item history-${entry.outcome}`;
+
+            const label = document.createElement('div');
+            label.className = 'update-label';
+            const name = document.createElement('span');
+            name.className = 'update-name';
+            name.textContent = entry.extensionId;
+            name.title = entry.error || entry.extensionId;
+            const details = document.createElement('span');
+            details.className = 'update-versions';
+            const change = entry.outcome === 'uninstalled' ?
+                `${entry.oldVersion || '?'} removed` :
+                `${entry.oldVersion ? `${entry.oldVersion} → ` : ''}${entry.newVersion || 'latest'}`;
+            const sourceLabel = entry.source === 'openvsx' ? 'Open VSX' : entry.source === 'cache' ? 'VSIX cache' : 'Marketplace';
+            details.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${change} · ${sourceLabel} · ${entry.outcome}`;
+            label.appendChild(name);
+            label.appendChild(details);
+            if (entry.error) {
+                const error = document.createElement('span');
+                error.className = 'history-error';
+                error.textContent = entry.error;
+                label.appendChild(error);
+            }
+            li.appendChild(label);
+
+            // Only changes that replaced or removed a version can be rolled back
+            const canRollBack = entry.oldVersion && (entry.outcome === 'uninstalled' ||
+                (entry.outcome === 'installed' && entry.oldVersion !== entry.newVersion));
+            if (canRollBack) {
+                const rollBackButton = document.createElement('button');
+                rollBackButton.className = 'section-button';
+                rollBackButton.textContent = 'Roll Back';
+                rollBackButton.title = `Roll back to previous version (${entry.oldVersion})`;
+                rollBackButton.addEventListener('click', () => {
+                    console.log('Webview: Sending "rollBack" message for:', entry.id); // Debugging
+                    vscode.postMessage({ type: 'rollBack', value: entry.id });
+                });
+                li.appendChild(rollBackButton);
+            }
+            list.appendChild(li);
+        });
+        historyContainer.appendChild(list);
+    }
+
+    /**
+     * Renders the workspace recommendations that are not installed in the "Workspace Recommendations" section.
+     * @param {Array<{extensionId: string, latestVersion: string|undefined, isAvailable: boolean}>} recommendations
+     */
+    function renderRecommendations(recommendations) {
+        recommendationsContainer.innerHTML = '';
+        recommendationsSection.hidden = !recommendations || recommendations.length === 0;
+        if (recommendationsSection.hidden) {
+            return;
+        }
+        installRecommendationsButton.hidden = !recommendations.some(recommendation => recommendation.isAvailable);
+
+        const list = document.createElement('ul');
+        recommendations.forEach(recommendation => {
+            const li = document.createElement('li');
+            li.className = 'update-item';
+
+            const label = document.createElement('div');
+            label.className = 'update-label';
+            const name = document.createElement('span');
+            name.className = 'update-name';
+            name.textContent = recommendation.extensionId;
+            name.title = recommendation.extensionId;
+            const version = document.createElement('span');
+            version.className = 'update-versions';
+            version.textContent = recommendation.isAvailable ? recommendation.latestVersion : 'Not on the Visual Studio Marketplace';
+            label.appendChild(name);
+            label.appendChild(version);
+            li.appendChild(label);
+
+            if (recommendation.isAvailable) {
+                const installButton = document.createElement('button');
+                installButton.className = 'update-button';
+                installButton.dataset.extensionId = recommendation.extensionId;
                 installButton.addEventListener('click', () => {
-                    console.log('Webview: Install button clicked. Sending "install" message for:', ext.extensionId); // Debugging
-                    vscode.postMessage({ type: 'install', value: ext.extensionId });
+                    if (isCancellable(recommendation.extensionId)) {
+                        vscode.postMessage({ type: 'cancelInstall', value: recommendation.extensionId });
+                        return;
+                    }
+                    console.log('Webview: Sending "install" message for recommendation:', recommendation.extensionId); // Debugging
+                    vscode.postMessage({ type: 'install', value: recommendation.extensionId });
                 });
+                applyInstallState(installButton);
+                li.appendChild(installButton);
             }
-            
-            details.appendChild(name);
-            details.appendChild(publisherCode); // Append code first
-            details.appendChild(publisherName); // Then author name
-            details.appendChild(description);
-
-            li.appendChild(icon);
-            li.appendChild(details);
-            li.appendChild(installButton);
             list.appendChild(li);
         });
+        recommendationsContainer.appendChild(list);
+    }
+
+    /**
+     * Puts an update button into its busy state.
+     * @param {HTMLButtonElement} button
+     */
+    function setUpdating(button) {
+        if (!button.disabled) {
+            button.textContent = 'Updating...';
+            button.disabled = true;
+        }
+    }
+
+    /**
+     * Tells whether the installation of an extension can still be cancelled from its button.
+     * @param {string} extensionId
+     * @returns {boolean}
+     */
+    function isCancellable(extensionId) {
+        const entry = installStates.get(extensionId.toLowerCase());
+        return Boolean(entry && CANCELLABLE_STATES.includes(entry.state));
+    }
+
+    /**
+     * Shows the last known installation state of an extension on its install or update button.
+     * @param {HTMLButtonElement} button A button with a `data-extension-id` attribute.
+     */
+    function applyInstallState(button) {
+        const isUpdate = button.dataset.action === 'update';
+        const entry = installStates.get(button.dataset.extensionId.toLowerCase()) || { state: 'idle' };
+        const idleLabel = isUpdate ? 'Update' : 'Install';
 
-        resultsContainer.appendChild(list);
+        button.title = CANCELLABLE_STATES.includes(entry.state) ? 'Click to cancel' : '';
+        button.disabled = entry.state === 'installing' || entry.state === 'installed';
+        switch (entry.state) {
+            case 'queued':
+                button.textContent = 'Queued';
+                break;
+            case 'resolving':
+                button.textContent = 'Preparing...';
+                break;
+            case 'downloading':
+                button.textContent = `${entry.percent || 0}%`;
+                break;
+            case 'installing':
+                button.textContent = isUpdate ? 'Updating...' : 'Installing...';
+                break;
+            case 'installed':
+                // The new version only becomes active after a reload
+                button.textContent = isUpdate ? 'Updated' : 'Installed';
+                break;
+            case 'failed':
+                button.textContent = 'Retry';
+                break;
+            default: // 'idle' or 'cancelled'
+                button.textContent = idleLabel;
+        }
+    }
+
+    /**
+     * Shows the result counter and, while more pages exist, the "Load more" button below the results.
+     * @param {boolean} hasMore Whether the gallery has further pages for the query.
+     * @param {number|null} [totalCount] The total number of results, if known.
+     * @param {string} [errorMessage] An error to show after a failed page request.
+     */
+    function updateLoadMoreFooter(hasMore, totalCount, errorMessage) {
+        if (!loadMoreFooter) {
+            loadMoreFooter = document.createElement('div');
+            loadMoreFooter.className = 'load-more-footer';
+            resultsContainer.appendChild(loadMoreFooter);
+        }
+        loadMoreObserver.disconnect();
+        loadMoreFooter.innerHTML = '';
+
+        if (totalCount) {
+            loadMoreFooter.dataset.totalCount = totalCount;
+        }
+        const counter = document.createElement('p');
+        counter.className = 'result-count';
+        counter.textContent = loadMoreFooter.dataset.totalCount ?
+            `Showing ${renderedCount} of ${loadMoreFooter.dataset.totalCount} results` :
+            `Showing ${renderedCount} results`;
+        loadMoreFooter.appendChild(counter);
+
+        if (errorMessage) {
+            const error = document.createElement('p');
+            error.className = 'error';
+            error.textContent = errorMessage;
+            loadMoreFooter.appendChild(error);
+        }
+
+        if (hasMore) {
+            const loadMoreButton = document.createElement('button');
+            loadMoreButton.className = 'load-more-button';
+            loadMoreButton.textContent = errorMessage ? 'Retry' : 'Load more';
+            loadMoreButton.addEventListener('click', requestMoreResults);
+            loadMoreFooter.appendChild(loadMoreButton);
+            if (!errorMessage) {
+                // Don't auto-retry a failed page; wait for an explicit click
+                loadMoreObserver.observe(loadMoreButton);
+            }
+        }
+    }
+
+    /**
+     * Asks the extension for the next page of results.
+     */
+    function requestMoreResults() {
+        if (isLoadingMore || !resultsList) {
+            return;
+        }
+        isLoadingMore = true;
+        const loadMoreButton = loadMoreFooter && loadMoreFooter.querySelector('.load-more-button');
+        if (loadMoreButton) {
+            loadMoreButton.textContent = 'Loading...';
+            loadMoreButton.disabled = true;
+        }
+        console.log('Webview: Sending "loadMore" message to extension.'); // Debugging
+        vscode.postMessage({ type: 'loadMore' });
     }
 })();
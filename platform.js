@@ -0,0 +1,88 @@
+const fs = require('fs');
+
+const UNIVERSAL = 'universal';
+
+/**
+ * Tells whether the current Linux system uses musl instead of glibc (e.g., Alpine).
+ * @returns {boolean}
+ */
+function isMusl() {
+    if (fs.existsSync('/etc/alpine-release')) {
+        return true;
+    }
+    try {
+        // glibc builds of Node report the runtime glibc version; musl builds don't
+        const report = process.report?.getReport();
+        return Boolean(report && report.header && !report.header.glibcVersionRuntime);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Determines the marketplace `targetPlatform` of the running editor (e.g., 'linux-x64', 'alpine-arm64', 'darwin-arm64').
+ * @returns {string}
+ */
+function getTargetPlatform() {
+    const arch = {
+        x64: 'x64',
+        arm64: 'arm64',
+        arm: 'armhf',
+        ia32: 'ia32'
+    }[process.arch] || process.arch;
+
+    if (process.platform === 'linux' && isMusl()) {
+        return `alpine-${arch}`;
+    }
+    return `${process.platform}-${arch}`;
+}
+
+/**
+ * Tells whether a gallery version entry can be installed on a platform.
+ * Entries without a `targetPlatform` predate platform-specific publishing and are universal.
+ * @param {Object} versionEntry An entry of the gallery extension's `versions` array.
+ * @param {string} targetPlatform The platform to install on.
+ * @returns {boolean}
+ */
+function isCompatibleEntry(versionEntry, targetPlatform) {
+    return !versionEntry.targetPlatform ||
+        versionEntry.targetPlatform === UNIVERSAL ||
+        versionEntry.targetPlatform === targetPlatform;
+}
+
+/**
+ * Picks the version entry to install on a platform: the build for that exact platform if one exists,
+ * otherwise the universal build.
+ * @param {Array<Object>} versionEntries The gallery extension's `versions` array (newest first).
+ * @param {string} targetPlatform The platform to install on.
+ * @param {string} [version] Only consider entries of this exact version. Defaults to the newest available version.
+ * @returns {Object|undefined} The matching entry, or undefined if there is no build for the platform.
+ */
+function selectVersionEntry(versionEntries, targetPlatform, version) {
+    const candidates = versionEntries.filter(entry =>
+        (!version || entry.version === version) && isCompatibleEntry(entry, targetPlatform));
+    if (candidates.length === 0) {
+        return undefined;
+    }
+    // Entries are ordered newest first; stick to the newest compatible version
+    const newest = candidates.filter(entry => entry.version === candidates[0].version);
+    return newest.find(entry => entry.targetPlatform === targetPlatform) || newest[0];
+}
+
+/**
+ * Picks the version entry to show for an extension, e.g. in search results: the newest build for the platform
+ * (see `selectVersionEntry`), or the newest entry published when there is no build for the platform.
+ * @param {Array<Object>} versionEntries The gallery extension's `versions` array (newest first).
+ * @param {string} targetPlatform The platform to install on.
+ * @returns {Object|undefined} The entry, or undefined if no version was returned.
+ */
+function selectDisplayedVersion(versionEntries, targetPlatform) {
+    return selectVersionEntry(versionEntries, targetPlatform) || versionEntries[0];
+}
+
+module.exports = {
+    getTargetPlatform,
+    isCompatibleEntry,
+    selectVersionEntry,
+    selectDisplayedVersion
+};
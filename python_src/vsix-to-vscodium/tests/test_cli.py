@@ -92,6 +92,39 @@ class TestExtensionManager(unittest.TestCase):
         expected_download_url = f"https://publisher.gallery.vsassets.io/_apis/public/gallery/publisher/publisher/extension/extension/{specific_version}/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage"
         self.assertEqual(mock_get.call_args[0][0], expected_download_url)
 
+    @patch("requests.post")
+    @patch("requests.get")
+    def test_download_extension_target_platform(self, mock_get, mock_post):
+        mock_post_response = MagicMock()
+        mock_post_response.json.return_value = {
+            "results": [
+                {
+                    "extensions": [
+                        {
+                            "versions": [
+                                {"version": "2.0.0", "targetPlatform": "darwin-arm64"},
+                                {"version": "1.0.0", "targetPlatform": "linux-x64"},
+                            ]
+                        }
+                    ]
+                }
+            ]
+        }
+        mock_post.return_value = mock_post_response
+
+        mock_get_response = MagicMock()
+        mock_get_response.content = b"mock extension content"
+        mock_get.return_value = mock_get_response
+
+        with patch("builtins.open", mock_open()):
+            result = download_extension(
+                "publisher.extension", target_platform="linux-x64"
+            )
+
+        self.assertEqual(result, "./extensions/publisher.extension-1.0.0@linux-x64.vsix")
+        expected_download_url = "https://publisher.gallery.vsassets.io/_apis/public/gallery/publisher/publisher/extension/extension/1.0.0/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage?targetPlatform=linux-x64"
+        self.assertEqual(mock_get.call_args[0][0], expected_download_url)
+
     @patch("os.path.exists")
     @patch("requests.post")
     def test_download_extension_cached(self, mock_post, mock_exists):
@@ -269,6 +302,20 @@ class TestExtensionManager(unittest.TestCase):
             mock_download.assert_called_once_with("publisher.extension")
             mock_install.assert_called_once_with("./extensions/test.vsix", "windsurf")
 
+    def test_main_single_extension_specific_version(self):
+        """Test installing a pinned version of a single extension."""
+        with patch("vsix_to_vscodium.cli.download_extension") as mock_download, patch(
+            "vsix_to_vscodium.cli.install_extension"
+        ) as mock_install:
+            mock_download.return_value = "./extensions/test.vsix"
+
+            main(["--extension-version", "2.0.0", "publisher.extension"])
+
+            mock_download.assert_called_once_with(
+                "publisher.extension", specific_version="2.0.0"
+            )
+            mock_install.assert_called_once_with("./extensions/test.vsix", "codium")
+
     def test_main_no_args_shows_help(self):
         """Test that running without args shows help."""
         with patch("sys.stdout"), patch("sys.stderr"):
@@ -36,7 +36,10 @@ def get_vscode_extensions() -> List[str]:
 
 
 def download_extension(
-    extension_id: str, specific_version: Optional[str] = None, no_cache: bool = False
+    extension_id: str,
+    specific_version: Optional[str] = None,
+    no_cache: bool = False,
+    target_platform: Optional[str] = None,
 ) -> str:
     """
     Download a VS Code extension from the marketplace.
@@ -45,6 +48,8 @@ def download_extension(
         extension_id: The extension ID in format 'publisher.extension'
         specific_version: Specific version to download. Defaults to None (latest).
         no_cache: Force re-download even if file exists. Defaults to False.
+        target_platform: Platform-specific build to download (e.g. 'linux-x64').
+            Defaults to None (universal build).
 
     Returns:
         str: Path to the downloaded .vsix file
@@ -80,16 +85,23 @@ def download_extension(
         if specific_version:
             version = specific_version
         else:
-            version = extension_data["results"][0]["extensions"][0]["versions"][0][
-                "version"
-            ]
+            versions = extension_data["results"][0]["extensions"][0]["versions"]
+            if target_platform:
+                # Skip versions published only for other platforms
+                versions = [
+                    v
+                    for v in versions
+                    if v.get("targetPlatform") in (None, "universal", target_platform)
+                ]
+            version = versions[0]["version"]
     except (KeyError, IndexError) as e:
         print(f"Failed to get extension metadata: {e}")
         sys.exit(1)
 
     # Create extensions directory if it doesn't exist
     os.makedirs("extensions", exist_ok=True)
-    file_path = f"./extensions/{extension_id}-{version}.vsix"
+    platform_suffix = f"@{target_platform}" if target_platform else ""
+    file_path = f"./extensions/{extension_id}-{version}{platform_suffix}.vsix"
 
     # Check if file already exists
     if not no_cache and os.path.exists(file_path):
@@ -99,6 +111,8 @@ def download_extension(
 
     # Download the extension
     download_url = f"https://{publisher}.gallery.vsassets.io/_apis/public/gallery/publisher/{publisher}/extension/{extension_name}/{version}/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage"
+    if target_platform:
+        download_url += f"?targetPlatform={target_platform}"
 
     print(f"Downloading version {version}...")
     download_response = requests.get(download_url)
@@ -158,6 +172,14 @@ def main(args: Optional[list[str]] = None) -> None:
         action="store_true",
         help="Transfer all extensions from VS Code installation",
     )
+    parser.add_argument(
+        "--extension-version",
+        help="Specific version of the extension to install (default: latest)",
+    )
+    parser.add_argument(
+        "--target-platform",
+        help="Platform-specific build to install, e.g. linux-x64 (default: universal)",
+    )
     parser.add_argument(
         "extension_id",
         nargs="?",
@@ -191,7 +213,12 @@ def main(args: Optional[list[str]] = None) -> None:
             sys.exit(1)
 
         try:
-            vsix_path = download_extension(args.extension_id)
+            download_kwargs = {}
+            if args.extension_version:
+                download_kwargs["specific_version"] = args.extension_version
+            if args.target_platform:
+                download_kwargs["target_platform"] = args.target_platform
+            vsix_path = download_extension(args.extension_id, **download_kwargs)
             install_extension(vsix_path, args.ide)
         except requests.exceptions.RequestException as e:
             print(f"Failed to download extension: {e}")
@@ -0,0 +1,69 @@
+/**
+ * Parses JSON with comments and trailing commas, the format of `.vscode/extensions.json` and `.code-workspace` files.
+ * @param {string} text The file content.
+ * @returns {any} The parsed value.
+ * @throws {SyntaxError} If the content is not valid once comments and trailing commas are removed.
+ */
+function parseJsonc(text) {
+    let result = '';
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            result += char;
+            if (char === '\\') {
+                result += text[++i] ?? '';
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+            result += char;
+        } else if (char === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') {
+                i++;
+            }
+            result += '\n';
+        } else if (char === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end < 0 ? text.length : end + 1;
+        } else {
+            result += char;
+        }
+    }
+    // Drop trailing commas before a closing bracket; strings were kept intact above, but may contain ",]"
+    return JSON.parse(result.replace(/("(?:[^"\\]|\\.)*")|,(\s*[\]}])/g, (match, string, closing) => string || closing));
+}
+
+/**
+ * Merges the extension recommendations of several configurations.
+ * An extension listed as unwanted anywhere is dropped, even if another configuration recommends it.
+ * @param {Array<{recommendations?: string[], unwantedRecommendations?: string[]}>} configs The contents of
+ * `.vscode/extensions.json` files and the `extensions` sections of `.code-workspace` files.
+ * @returns {string[]} The recommended extension IDs, without duplicates, in order of appearance.
+ */
+function collectRecommendations(configs) {
+    const unwanted = new Set();
+    for (const config of configs) {
+        for (const id of config.unwantedRecommendations || []) {
+            if (typeof id === 'string') {
+                unwanted.add(id.toLowerCase());
+            }
+        }
+    }
+
+    const recommended = new Map();
+    for (const config of configs) {
+        for (const id of config.recommendations || []) {
+            if (typeof id === 'string' && !unwanted.has(id.toLowerCase()) && !recommended.has(id.toLowerCase())) {
+                recommended.set(id.toLowerCase(), id);
+            }
+        }
+    }
+    return [...recommended.values()];
+}
+
+module.exports = {
+    parseJsonc,
+    collectRecommendations
+};
@@ -0,0 +1,106 @@
+const { FilterType, SortBy, SortOrder } = require('./MarketplaceClient');
+
+/**
+ * The categories of the Visual Studio Marketplace, as offered in the sidebar's category filter.
+ */
+const CATEGORIES = [
+    'Azure',
+    'Data Science',
+    'Debuggers',
+    'Education',
+    'Extension Packs',
+    'Formatters',
+    'Keymaps',
+    'Language Packs',
+    'Linters',
+    'Machine Learning',
+    'Notebooks',
+    'Programming Languages',
+    'SCM Providers',
+    'Snippets',
+    'Testing',
+    'Themes',
+    'Visualization',
+    'Other'
+];
+
+/**
+ * The sort options of the sidebar, with their gallery and Open VSX equivalents.
+ */
+const SORT_OPTIONS = {
+    relevance: { label: 'Relevance', sortBy: SortBy.NoneOrRelevance, sortOrder: SortOrder.Default, openVsx: 'relevance' },
+    installs: { label: 'Most installs', sortBy: SortBy.InstallCount, sortOrder: SortOrder.Descending, openVsx: 'downloadCount' },
+    rating: { label: 'Highest rated', sortBy: SortBy.WeightedRating, sortOrder: SortOrder.Descending, openVsx: 'averageRating' },
+    updated: { label: 'Recently updated', sortBy: SortBy.LastUpdatedDate, sortOrder: SortOrder.Descending, openVsx: 'timestamp' },
+    published: { label: 'Newest', sortBy: SortBy.PublishedDate, sortOrder: SortOrder.Descending, openVsx: 'timestamp' },
+    name: { label: 'Name', sortBy: SortBy.Title, sortOrder: SortOrder.Ascending, openVsx: 'relevance' }
+};
+
+// Gallery flag of unpublished extensions, which never show up in the editor's own search either
+const UNPUBLISHED_FLAG = 4096;
+
+/**
+ * Cleans up the search options sent by the webview.
+ * Without a query, category or tag, the search is a landing view: the most installed extensions,
+ * unless sorted otherwise (relevance means nothing without a query).
+ * @param {{query?: string, category?: string, tag?: string, sort?: string}} options
+ * @returns {{query: string, category: string, tag: string, sort: string, isLanding: boolean}}
+ */
+function normalizeSearch(options = {}) {
+    const query = (options.query || '').trim();
+    const category = CATEGORIES.includes(options.category) ? options.category : '';
+    const tag = (options.tag || '').trim();
+    let sort = SORT_OPTIONS[options.sort] ? options.sort : 'relevance';
+    const isLanding = !query && !category && !tag;
+    if (!query && sort === 'relevance') {
+        sort = 'installs';
+    }
+    return { query, category, tag, sort, isLanding };
+}
+
+/**
+ * Translates a normalized search into gallery filter criteria and sorting.
+ * @param {{query: string, category: string, tag: string, sort: string}} search A search returned by `normalizeSearch`.
+ * @returns {{criteria: Array<{filterType: number, value: string}>, sortBy: number, sortOrder: number}}
+ */
+function buildGalleryFilter(search) {
+    const criteria = [
+        { filterType: FilterType.Target, value: 'Microsoft.VisualStudio.Code' },
+        { filterType: FilterType.ExcludeWithFlags, value: String(UNPUBLISHED_FLAG) }
+    ];
+    if (search.query) {
+        criteria.push({ filterType: FilterType.SearchText, value: search.query });
+    }
+    if (search.category) {
+        criteria.push({ filterType: FilterType.Category, value: search.category });
+    }
+    if (search.tag) {
+        criteria.push({ filterType: FilterType.Tag, value: search.tag });
+    }
+    const { sortBy, sortOrder } = SORT_OPTIONS[search.sort];
+    return { criteria, sortBy, sortOrder };
+}
+
+/**
+ * Translates a normalized search into Open VSX search parameters.
+ * Open VSX has no tag filter, but its text search matches tags, so the tag is added to the query.
+ * @param {{query: string, category: string, tag: string, sort: string}} search A search returned by `normalizeSearch`.
+ * @returns {{query: string, category: string|undefined, sortBy: string, sortOrder: string}}
+ */
+function buildOpenVsxSearch(search) {
+    const option = SORT_OPTIONS[search.sort];
+    return {
+        query: [search.query, search.tag].filter(Boolean).join(' '),
+        category: search.category || undefined,
+        sortBy: option.openVsx,
+        sortOrder: option.sortOrder === SortOrder.Ascending ? 'asc' : 'desc'
+    };
+}
+
+module.exports = {
+    CATEGORIES,
+    SORT_OPTIONS,
+    normalizeSearch,
+    buildGalleryFilter,
+    buildOpenVsxSearch
+};
@@ -0,0 +1,126 @@
+const axios = require('axios');
+const { compareVersions } = require('./versions');
+
+/**
+ * Install sources an extension can be available from.
+ */
+const Source = {
+    Marketplace: 'marketplace',
+    OpenVsx: 'openvsx'
+};
+
+/**
+ * Picks the source to install from by default: Open VSX, where the host keeps the extension updated,
+ * unless only the Visual Studio Marketplace has it or has a newer version.
+ * @param {{marketplace?: string, openvsx?: string}} versions The latest version on each source that has the extension.
+ * @returns {string} A `Source` value.
+ */
+function chooseDefaultSource(versions) {
+    if (!versions.openvsx) {
+        return Source.Marketplace;
+    }
+    if (!versions.marketplace) {
+        return Source.OpenVsx;
+    }
+    return compareVersions(versions.openvsx, versions.marketplace) >= 0 ? Source.OpenVsx : Source.Marketplace;
+}
+
+/**
+ * Merges one page of results of each source by extension ID.
+ * Marketplace results keep their order and gain the Open VSX version when Open VSX has the same extension;
+ * Open VSX-only results follow. Extensions already shown on an earlier page are left out.
+ * @param {Array<Object>} marketplaceResults Marketplace results, each with `extensionId` and `version`.
+ * @param {Array<Object>} openVsxResults Open VSX results, each with `extensionId` and `version`.
+ * @param {Set<string>} [shownIds] Lowercase IDs already shown; the merged IDs are added to it.
+ * @returns {Array<Object>} The merged results, each with `versions` ({marketplace?, openvsx?}) and `defaultSource`.
+ */
+function mergeResults(marketplaceResults, openVsxResults, shownIds = new Set()) {
+    const openVsxById = new Map(openVsxResults.map(ext => [ext.extensionId.toLowerCase(), ext]));
+    const merged = [];
+
+    for (const ext of marketplaceResults) {
+        const key = ext.extensionId.toLowerCase();
+        const openVsx = openVsxById.get(key);
+        openVsxById.delete(key);
+        if (shownIds.has(key)) {
+            continue;
+        }
+        shownIds.add(key);
+        const versions = { marketplace: ext.version, openvsx: openVsx?.version };
+        merged.push({ ...ext, versions, defaultSource: chooseDefaultSource(versions) });
+    }
+    for (const [key, ext] of openVsxById) {
+        if (shownIds.has(key)) {
+            continue;
+        }
+        shownIds.add(key);
+        const versions = { openvsx: ext.version };
+        merged.push({ ...ext, versions, defaultSource: chooseDefaultSource(versions) });
+    }
+    return merged;
+}
+
+/**
+ * Reads the total result count from the gallery's `resultMetadata`.
+ * @param {Object} result The result object returned by the gallery.
+ * @param {number} pageNumber The page the result belongs to.
+ * @param {number} pageSize The number of results requested per page.
+ * @returns {number} The total number of results for the query.
+ */
+function getTotalCount(result, pageNumber, pageSize) {
+    const pageLength = (result.extensions || []).length;
+    const resultCount = result.resultMetadata
+        ?.find(m => m.metadataType === 'ResultCount')
+        ?.metadataItems?.find(i => i.name === 'TotalCount');
+    if (resultCount) {
+        return resultCount.count;
+    }
+    // Without metadata, assume there is another page whenever this one is full
+    const seen = (pageNumber - 1) * pageSize + pageLength;
+    return pageLength === pageSize ? seen + 1 : seen;
+}
+
+/**
+ * Tells whether a search has results after a page.
+ * @param {number} pageNumber The 1-based page shown last.
+ * @param {number} pageSize The number of results requested per page.
+ * @param {number} totalCount The total number of results (see `getTotalCount`).
+ * @returns {boolean}
+ */
+function hasMoreResults(pageNumber, pageSize, totalCount) {
+    return pageNumber * pageSize < totalCount;
+}
+
+/**
+ * Builds the webview message for a search page that failed to load. The first page replaces the results
+ * with the error; a later page leaves the results already shown in place and lets the user retry.
+ * @param {Error} error Why the page failed.
+ * @param {number} pageNumber The 1-based page that failed.
+ * @returns {{type: 'showError'|'loadMoreFailed', value: string}}
+ */
+function describeSearchError(error, pageNumber) {
+    let errorMessage = 'Search failed. Please check your internet connection or try a different search term.';
+    if (axios.isAxiosError(error)) {
+        if (error.response) {
+            if (error.response.status === 404) {
+                errorMessage = 'Marketplace API endpoint not found or changed. This extension may need an update.';
+            } else if (error.response.status === 400) {
+                errorMessage = 'Invalid search request. The marketplace API might have changed its expected parameters.';
+            } else if (error.response.status === 500) {
+                errorMessage = 'Internal server error from Marketplace API. Please try again later.';
+            }
+        } else if (error.request) {
+            errorMessage = 'Network error during search. Check your internet connection.';
+        }
+    }
+    return { type: pageNumber > 1 ? 'loadMoreFailed' : 'showError', value: errorMessage };
+}
+
+module.exports = {
+    Source,
+    chooseDefaultSource,
+    mergeResults,
+    getTotalCount,
+    hasMoreResults,
+    describeSearchError
+};
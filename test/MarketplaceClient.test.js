@@ -0,0 +1,148 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { MarketplaceClient, AssetType, FilterType } = require('../MarketplaceClient');
+const { downloadToFile } = require('../http');
+const { ExtensionNotFoundError, InvalidExtensionIdError } = require('../errors');
+
+/**
+ * A marketplace client whose HTTP client answers queries with the given extensions and downloads with the
+ * given chunks, failing after them if `failure` is set.
+ * @param {{extensions?: Array<Object>, chunks?: string[], failure?: Error}} [responses]
+ */
+function createClient(responses = {}) {
+	const client = new MarketplaceClient({ targetPlatform: 'linux-x64' });
+	const requests = [];
+	client._http = createHttp(responses, requests);
+	return { client, requests };
+}
+
+/**
+ * A stand-in for the axios instance of `createHttpClient`.
+ * @param {{extensions?: Array<Object>, chunks?: string[], failure?: Error}} responses
+ * @param {Array<Object>} requests Receives the requests sent.
+ */
+function createHttp(responses, requests) {
+	return {
+		post: async (url, body) => {
+			requests.push({ method: 'POST', url, body });
+			return { data: { results: [{ extensions: responses.extensions || [] }] } };
+		},
+		get: async url => {
+			requests.push({ method: 'GET', url });
+			const chunks = responses.chunks || [];
+			const data = new Readable({
+				read() {
+					const chunk = chunks.shift();
+					if (chunk !== undefined) {
+						this.push(chunk);
+					} else if (responses.failure) {
+						this.destroy(responses.failure);
+					} else {
+						this.push(null);
+					}
+				}
+			});
+			return { headers: { 'content-length': String((responses.chunks || []).join('').length) }, data };
+		}
+	};
+}
+
+suite('Marketplace Client Test Suite', () => {
+	let tempDir;
+
+	setup(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'marketplace-client-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	test('Builds the VSIX URL from the files, the asset URI or the configured template', () => {
+		const { client } = createClient();
+		assert.strictEqual(
+			client.getVsixUrl('pub.ext', { version: '1.0.0', files: [{ assetType: AssetType.VSIXPackage, source: 'https://cdn/pub.ext.vsix' }] }),
+			'https://cdn/pub.ext.vsix'
+		);
+		assert.strictEqual(
+			client.getVsixUrl('pub.ext', { version: '1.0.0', assetUri: 'https://cdn/assets' }),
+			`https://cdn/assets/${AssetType.VSIXPackage}`
+		);
+		assert.strictEqual(
+			client.getVsixUrl('pub.ext', { version: '1.0.0' }),
+			`https://pub.gallery.vsassets.io/_apis/public/gallery/publisher/pub/extension/ext/1.0.0/assetbyname/${AssetType.VSIXPackage}`
+		);
+
+		client.configure({ assetUrlTemplate: 'https://mirror/{publisher}/{name}/{version}/{unknown}' });
+		assert.strictEqual(client.getVsixUrl('pub.ext', { version: '2.0.0' }), 'https://mirror/pub/ext/2.0.0/{unknown}');
+	});
+
+	test('Fetches an extension by ID', async () => {
+		const extension = { extensionName: 'ext', publisher: { publisherName: 'pub' }, versions: [{ version: '1.0.0' }] };
+		const { client, requests } = createClient({ extensions: [extension] });
+		assert.deepStrictEqual(await client.getExtension('pub.ext'), extension);
+		assert.strictEqual(requests[0].url, 'https://marketplace.visualstudio.com/_apis/public/gallery/extensionquery');
+		assert.deepStrictEqual(requests[0].body.filters[0].criteria, [{ filterType: FilterType.ExtensionName, value: 'pub.ext' }]);
+	});
+
+	test('Reports extensions that are not on the marketplace, and invalid IDs before any request', async () => {
+		const { client, requests } = createClient({ extensions: [] });
+		await assert.rejects(client.getExtension('pub.missing'), ExtensionNotFoundError);
+
+		const noVersions = createClient({ extensions: [{ extensionName: 'ext', publisher: { publisherName: 'pub' }, versions: [] }] });
+		await assert.rejects(noVersions.client.getExtension('pub.ext'), /was not found on the Visual Studio Marketplace/);
+
+		await assert.rejects(client.getExtension('not-an-id'), InvalidExtensionIdError);
+		assert.strictEqual(requests.length, 1);
+	});
+
+	test('Downloads a VSIX package with progress', async () => {
+		const { client, requests } = createClient({ chunks: ['PK', 'data'] });
+		const progress = [];
+		const filePath = await client.downloadVsix(
+			'pub.ext',
+			{ version: '1.0.0', targetPlatform: 'linux-x64', assetUri: 'https://cdn/assets' },
+			path.join(tempDir, 'downloads'),
+			{ onProgress: (received, total) => progress.push([received, total]) }
+		);
+		assert.strictEqual(filePath, path.join(tempDir, 'downloads', 'pub.ext-1.0.0@linux-x64.vsix'));
+		assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'PKdata');
+		assert.strictEqual(requests[0].url, `https://cdn/assets/${AssetType.VSIXPackage}`);
+		assert.deepStrictEqual(progress, [[2, 6], [6, 6]]);
+	});
+
+	test('Lists the versions for this platform once each, marking pre-releases and engine requirements', async () => {
+		const property = (key, value) => ({ key: `Microsoft.VisualStudio.Code.${key}`, value });
+		const { client } = createClient({
+			extensions: [{
+				extensionName: 'ext',
+				publisher: { publisherName: 'pub' },
+				versions: [
+					{ version: '3.0.0', targetPlatform: 'win32-x64', properties: [] },
+					{ version: '2.1.0', targetPlatform: 'linux-x64', lastUpdated: '2024-05-01T00:00:00Z', properties: [property('PreRelease', 'true'), property('Engine', '^1.90.0')] },
+					{ version: '2.1.0', targetPlatform: 'darwin-arm64', properties: [property('PreRelease', 'true')] },
+					{ version: '2.0.0', targetPlatform: 'linux-x64', properties: [property('Engine', '^1.80.0')] },
+					{ version: '2.0.0', targetPlatform: 'universal', properties: [property('Engine', '^1.80.0')] },
+					{ version: '1.0.0', properties: [] }
+				]
+			}]
+		});
+		client.hostVersion = '1.85.0';
+
+		assert.deepStrictEqual(await client.getVersions('pub.ext'), [
+			{ version: '2.1.0', lastUpdated: '2024-05-01T00:00:00Z', isPreRelease: true, engine: '^1.90.0', isEngineCompatible: false },
+			{ version: '2.0.0', lastUpdated: undefined, isPreRelease: false, engine: '^1.80.0', isEngineCompatible: true },
+			{ version: '1.0.0', lastUpdated: undefined, isPreRelease: false, engine: undefined, isEngineCompatible: true }
+		]);
+	});
+
+	test('Removes a partially downloaded file when the download fails', async () => {
+		const http = createHttp({ chunks: ['partial'], failure: new Error('socket hang up') }, []);
+		const filePath = path.join(tempDir, 'broken.vsix');
+		await assert.rejects(downloadToFile(http, 'https://cdn/broken.vsix', filePath), /socket hang up/);
+		assert.strictEqual(fs.existsSync(filePath), false);
+	});
+});
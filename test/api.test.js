@@ -0,0 +1,72 @@
+const assert = require('assert');
+const { createApi, toInstallRequest } = require('../api');
+
+/**
+ * Builds the API on fake services that record the installations they are asked for.
+ */
+function createTestApi() {
+	const calls = [];
+	const api = createApi({
+		marketplaceClient: {
+			targetPlatform: 'linux-x64',
+			query: async () => ({
+				extensions: [{
+					extensionName: 'python',
+					displayName: 'Python',
+					shortDescription: 'Python language support',
+					publisher: { publisherName: 'ms-python', displayName: 'Microsoft' },
+					versions: [{ version: '2.0.0', targetPlatform: 'win32-x64' }, { version: '1.9.0' }],
+					statistics: [{ statisticName: 'install', value: 1000 }]
+				}],
+				resultMetadata: [{ metadataType: 'ResultCount', metadataItems: [{ name: 'TotalCount', count: 42 }] }]
+			}),
+			getVersions: async () => []
+		},
+		openVsxClient: {},
+		installExtension: async (extensionId, version, options) => {
+			calls.push({ extensionId, version, options });
+			return { outcome: 'installed' };
+		},
+		installMany: async requests => requests.map(request => ({ extensionId: request.extensionId, outcome: 'installed' })),
+		findUpdates: async () => []
+	});
+	return { api, calls };
+}
+
+suite('API Test Suite', () => {
+	test('Turns IDs, links and objects into install requests', () => {
+		assert.deepStrictEqual(toInstallRequest('ms-python.python@1.0.0'), { extensionId: 'ms-python.python', version: '1.0.0', source: undefined });
+		assert.deepStrictEqual(toInstallRequest('vscode:extension/ms-python.python'), { extensionId: 'ms-python.python', version: undefined, source: undefined });
+		assert.deepStrictEqual(toInstallRequest({ id: 'ms-python.python', source: 'openvsx' }), { extensionId: 'ms-python.python', version: undefined, source: 'openvsx' });
+		assert.throws(() => toInstallRequest('python'), error => error.code === 'invalidId');
+		assert.throws(() => toInstallRequest({ extensionId: 'ms-python.python', source: 'github' }), error => error.code === 'invalidSource');
+	});
+
+	test('Searches the marketplace with structured results', async () => {
+		const { api } = createTestApi();
+		const result = await api.search('python');
+		assert.strictEqual(result.totalCount, 42);
+		assert.deepStrictEqual(result.extensions, [{
+			extensionId: 'ms-python.python',
+			displayName: 'Python',
+			publisherDisplayName: 'Microsoft',
+			description: 'Python language support',
+			version: '1.9.0', // The only build for this platform
+			source: 'marketplace',
+			installCount: 1000
+		}]);
+	});
+
+	test('Installs without asking and reports invalid requests as failures', async () => {
+		const { api, calls } = createTestApi();
+		assert.deepStrictEqual(await api.install('ms-python.python', { version: '1.0.0' }), { extensionId: 'ms-python.python', outcome: 'installed' });
+		assert.deepStrictEqual(calls, [{ extensionId: 'ms-python.python', version: '1.0.0', options: { quiet: true, source: undefined } }]);
+
+		const invalid = await api.install('not an id');
+		assert.strictEqual(invalid.outcome, 'failed');
+		assert.strictEqual(invalid.errorCode, 'invalidId');
+
+		const results = await api.installMany(['a.b', 'invalid', { id: 'c.d' }]);
+		assert.deepStrictEqual(results.map(result => `${result.extensionId}:${result.outcome}`), ['a.b:installed', 'invalid:failed', 'c.d:installed']);
+	});
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const { mergeInstallPlans, summarizeBatch } = require('../batch');
+
+/**
+ * Builds a plan from extension IDs, the requested extension last.
+ * @param {...string} ids The IDs of the extensions to install, in order.
+ */
+function plan(...ids) {
+	return ids.map((extensionId, index) => ({ extensionId, reason: index === ids.length - 1 ? 'requested' : 'dependency' }));
+}
+
+/**
+ * Lists the IDs of each plan.
+ * @param {Array<Array<{extensionId: string}>|undefined>} plans
+ */
+function ids(plans) {
+	return plans.map(items => items && items.map(item => item.extensionId));
+}
+
+suite('Batch Test Suite', () => {
+	test('Keeps unrelated plans as they are', () => {
+		const merged = mergeInstallPlans([plan('pub.lib', 'pub.a'), plan('pub.b')]);
+		assert.deepStrictEqual(ids(merged.plans), [['pub.lib', 'pub.a'], ['pub.b']]);
+		assert.deepStrictEqual(merged.order, [0, 1]);
+	});
+
+	test('Installs a shared dependency once, with the first request needing it', () => {
+		const merged = mergeInstallPlans([
+			plan('pub.util', 'pub.lib', 'pub.a'),
+			plan('Pub.Util', 'pub.b'),
+			plan('pub.lib', 'pub.c')
+		]);
+		assert.deepStrictEqual(ids(merged.plans), [['pub.util', 'pub.lib', 'pub.a'], ['pub.b'], ['pub.c']]);
+		assert.deepStrictEqual(merged.order, [0, 1, 2]);
+	});
+
+	test('Leaves a requested extension to its own request and queues it first', () => {
+		const merged = mergeInstallPlans([plan('pub.lib', 'pub.a'), plan('pub.lib')]);
+		assert.deepStrictEqual(ids(merged.plans), [['pub.a'], ['pub.lib']]);
+		assert.deepStrictEqual(merged.order, [1, 0]);
+	});
+
+	test('Ends on requests needing each other, and skips unresolved plans', () => {
+		const merged = mergeInstallPlans([plan('pub.b', 'pub.a'), undefined, plan('pub.a', 'pub.b')]);
+		assert.deepStrictEqual(ids(merged.plans), [['pub.a'], undefined, ['pub.b']]);
+		assert.deepStrictEqual(merged.order, [2, 0, 1]);
+	});
+
+	test('Keeps the requested extension of a duplicate request', () => {
+		const merged = mergeInstallPlans([plan('pub.a'), plan('pub.a')]);
+		assert.deepStrictEqual(ids(merged.plans), [['pub.a'], ['pub.a']]);
+	});
+
+	test('Sorts batch results by outcome', () => {
+		const summary = summarizeBatch([
+			{ extensionId: 'pub.a', outcome: 'installed' },
+			{ extensionId: 'pub.b', outcome: 'failed', error: 'Not found.' },
+			{ extensionId: 'pub.c', outcome: 'cancelled' },
+			{ extensionId: 'pub.d', outcome: 'installed' },
+			{ extensionId: 'pub.e', outcome: 'skipped' }
+		]);
+		assert.deepStrictEqual(summary.installed.map(result => result.extensionId), ['pub.a', 'pub.d']);
+		assert.deepStrictEqual(summary.failed.map(result => result.extensionId), ['pub.b']);
+		assert.deepStrictEqual(summary.others.map(result => result.extensionId), ['pub.c', 'pub.e']);
+	});
+});
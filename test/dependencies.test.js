@@ -0,0 +1,77 @@
+const assert = require('assert');
+const { resolveInstallPlan } = require('../dependencies');
+
+/**
+ * A marketplace client stand-in serving the given extensions.
+ * @param {Object<string, {dependencies?: string[], pack?: string[]}>} extensions The published extensions by ID.
+ */
+function createClient(extensions) {
+	return {
+		getVersionEntry: async (id, version) => {
+			const extension = extensions[id];
+			if (!extension) {
+				throw new Error(`Extension "${id}" was not found.`);
+			}
+			return {
+				version: version || '1.0.0',
+				properties: [
+					{ key: 'Microsoft.VisualStudio.Code.ExtensionDependencies', value: (extension.dependencies || []).join(',') },
+					{ key: 'Microsoft.VisualStudio.Code.ExtensionPack', value: (extension.pack || []).join(', ') }
+				]
+			};
+		}
+	};
+}
+
+suite('Dependencies Test Suite', () => {
+	test('Installs dependencies before the extensions that need them', async () => {
+		const client = createClient({
+			'pub.app': { dependencies: ['pub.lib', 'pub.util'] },
+			'pub.lib': { dependencies: ['pub.util'] },
+			'pub.util': {}
+		});
+		const plan = await resolveInstallPlan(client, 'pub.app', '2.0.0');
+		assert.deepStrictEqual(plan.items.map(item => item.extensionId), ['pub.util', 'pub.lib', 'pub.app']);
+		assert.strictEqual(plan.items[2].versionEntry.version, '2.0.0');
+		assert.strictEqual(plan.items[2].reason, 'requested');
+		assert.strictEqual(plan.items[0].reason, 'dependency of pub.lib');
+		assert.deepStrictEqual(plan.missing, []);
+	});
+
+	test('Expands extension packs', async () => {
+		const client = createClient({
+			'pub.pack': { pack: ['pub.a', 'pub.b'] },
+			'pub.a': {},
+			'pub.b': {}
+		});
+		const plan = await resolveInstallPlan(client, 'pub.pack');
+		assert.deepStrictEqual(plan.items.map(item => `${item.extensionId} (${item.reason})`), [
+			'pub.a (part of the pub.pack pack)',
+			'pub.b (part of the pub.pack pack)',
+			'pub.pack (requested)'
+		]);
+	});
+
+	test('Skips installed extensions, but never the requested one', async () => {
+		const client = createClient({ 'pub.app': { dependencies: ['Pub.Lib'] }, 'pub.lib': {} });
+		const plan = await resolveInstallPlan(client, 'pub.app', undefined, { installedIds: new Set(['pub.app', 'pub.lib']) });
+		assert.deepStrictEqual(plan.items.map(item => item.extensionId), ['pub.app']);
+	});
+
+	test('Ends on cycles', async () => {
+		const client = createClient({ 'pub.a': { pack: ['pub.b'] }, 'pub.b': { pack: ['pub.a'] } });
+		const plan = await resolveInstallPlan(client, 'pub.a');
+		assert.deepStrictEqual(plan.items.map(item => item.extensionId), ['pub.b', 'pub.a']);
+	});
+
+	test('Reports unknown dependencies, and fails for an unknown requested extension', async () => {
+		const client = createClient({ 'pub.app': { dependencies: ['pub.gone', 'pub.lib'] }, 'pub.lib': {} });
+		const logged = [];
+		const plan = await resolveInstallPlan(client, 'pub.app', undefined, { log: message => logged.push(message) });
+		assert.deepStrictEqual(plan.items.map(item => item.extensionId), ['pub.lib', 'pub.app']);
+		assert.deepStrictEqual(plan.missing, ['pub.gone']);
+		assert.match(logged[0], /Could not resolve "pub.gone"/);
+
+		await assert.rejects(resolveInstallPlan(client, 'pub.unknown'), /not found/);
+	});
+});
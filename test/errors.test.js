@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { isValidExtensionId, parseExtensionId } = require('../MarketplaceClient');
+const { InvalidExtensionIdError, ExtensionNotFoundError, NetworkError, summarizeOutput, toInstallError } = require('../errors');
+
+suite('Install Errors Test Suite', () => {
+	test('Accepts only IDs in the publisher.name grammar', () => {
+		assert.ok(isValidExtensionId('ms-python.python'));
+		assert.ok(isValidExtensionId('Publisher1.my-extension'));
+		for (const id of ['', 'python', '.python', 'ms-python.', 'a.b.c', '-pub.name', 'pub.name; rm -rf ~', 'pub.$(whoami)', 'pub.name"']) {
+			assert.ok(!isValidExtensionId(id), id);
+		}
+		assert.throws(() => parseExtensionId('pub.name && echo'), InvalidExtensionIdError);
+	});
+
+	test('Maps HTTP and socket failures to typed errors', () => {
+		const notFound = toInstallError(Object.assign(new Error('Request failed'), { response: { status: 404 }, config: { url: 'https://example.com/x' } }));
+		assert.ok(notFound instanceof ExtensionNotFoundError);
+		assert.strictEqual(notFound.code, 'notFound');
+
+		const unavailable = toInstallError(Object.assign(new Error('Request failed'), { response: { status: 503 } }));
+		assert.ok(unavailable instanceof NetworkError);
+		assert.match(unavailable.message, /HTTP 503/);
+
+		const offline = toInstallError(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND', hostname: 'open-vsx.org' }));
+		assert.strictEqual(offline.code, 'network');
+		assert.match(offline.message, /open-vsx\.org/);
+	});
+
+	test('Leaves typed and unknown errors unchanged', () => {
+		const typed = new InvalidExtensionIdError('x');
+		assert.strictEqual(toInstallError(typed), typed);
+		const unknown = new Error('Something else');
+		assert.strictEqual(toInstallError(unknown), unknown);
+	});
+
+	test('Summarizes program output with its last non-empty line', () => {
+		assert.strictEqual(summarizeOutput('Querying...\r\nFailed to download extension: 404\n\n'), 'Failed to download extension: 404');
+		assert.strictEqual(summarizeOutput(''), undefined);
+	});
+});
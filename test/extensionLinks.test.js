@@ -0,0 +1,35 @@
+const assert = require('assert');
+const { parseExtensionReference, parseInstallUri } = require('../extensionLinks');
+
+suite('Extension Links Test Suite', () => {
+	test('Reads IDs, with or without a version', () => {
+		assert.deepStrictEqual(parseExtensionReference(' ms-python.python '), { extensionId: 'ms-python.python', version: undefined, isLink: false });
+		assert.deepStrictEqual(parseExtensionReference('ms-python.python@2024.2.1'), { extensionId: 'ms-python.python', version: '2024.2.1', isLink: false });
+		assert.deepStrictEqual(parseExtensionReference('Pub.Ext@2.0.0-beta.1'), { extensionId: 'Pub.Ext', version: '2.0.0-beta.1', isLink: false });
+		assert.strictEqual(parseExtensionReference('ms-python.python@latest'), undefined);
+		assert.strictEqual(parseExtensionReference('ms-python.python@'), undefined);
+		assert.strictEqual(parseExtensionReference('@1.0.0'), undefined);
+		assert.strictEqual(parseExtensionReference('python'), undefined);
+		assert.strictEqual(parseExtensionReference(''), undefined);
+	});
+
+	test('Resolves marketplace URLs and editor links', () => {
+		assert.deepStrictEqual(
+			parseExtensionReference('https://marketplace.visualstudio.com/items?itemName=esbenp.prettier-vscode&ssr=false#overview'),
+			{ extensionId: 'esbenp.prettier-vscode', isLink: true }
+		);
+		assert.deepStrictEqual(parseExtensionReference('vscode:extension/esbenp.prettier-vscode'), { extensionId: 'esbenp.prettier-vscode', isLink: true });
+		assert.deepStrictEqual(parseExtensionReference('vscode-insiders://extension/esbenp.prettier-vscode'), { extensionId: 'esbenp.prettier-vscode', isLink: true });
+		assert.strictEqual(parseExtensionReference('https://marketplace.visualstudio.com/items?itemName=not-an-id'), undefined);
+		assert.strictEqual(parseExtensionReference('https://example.com/'), undefined);
+		assert.strictEqual(parseExtensionReference('vscode:extension/'), undefined);
+	});
+
+	test('Reads install URIs', () => {
+		assert.deepStrictEqual(parseInstallUri({ path: '/install', query: 'id=ms-python.python&version=2024.2.1' }), { extensionId: 'ms-python.python', version: '2024.2.1' });
+		assert.deepStrictEqual(parseInstallUri({ path: '/install/', query: 'id=ms-python.python' }), { extensionId: 'ms-python.python', version: undefined });
+		assert.throws(() => parseInstallUri({ path: '/uninstall', query: 'id=ms-python.python' }), error => error.code === 'invalidLink');
+		assert.throws(() => parseInstallUri({ path: '/install', query: 'id=python' }), error => error.code === 'invalidId');
+		assert.throws(() => parseInstallUri({ path: '/install', query: 'id=ms-python.python&version=../x' }), error => error.code === 'invalidLink');
+	});
+});
@@ -0,0 +1,14 @@
+/**
+ * An in-memory stand-in for `vscode.Memento`.
+ */
+function createMemento() {
+	const values = new Map();
+	return {
+		get: (key, defaultValue) => values.has(key) ? values.get(key) : defaultValue,
+		update: async (key, value) => { values.set(key, value); }
+	};
+}
+
+module.exports = {
+	createMemento
+};
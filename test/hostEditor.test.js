@@ -0,0 +1,44 @@
+const assert = require('assert');
+const path = require('path');
+const { guessCliName, resolveEditorCli, buildPythonInstallerArgs } = require('../hostEditor');
+
+suite('Host Editor Test Suite', () => {
+	test('Guesses the launcher name from the product, the display name or the executable', () => {
+		assert.strictEqual(guessCliName({ applicationName: 'windsurf', appName: 'Windsurf' }), 'windsurf');
+		assert.strictEqual(guessCliName({ appName: 'VSCodium - Insiders' }), 'codium-insiders');
+		assert.strictEqual(guessCliName({ appName: 'Cursor' }), 'cursor');
+		assert.strictEqual(guessCliName({ appName: 'Some Fork', execPath: '/opt/fork/Fork.exe' }), 'fork');
+		assert.strictEqual(guessCliName({ appName: 'Some Fork', execPath: '/usr/bin/node' }), undefined);
+	});
+
+	test('Prefers the setting, then the launcher next to the running editor, then the PATH', () => {
+		const appRoot = path.join('/usr', 'share', 'codium', 'resources', 'app');
+		const launcher = path.join('/usr', 'share', 'codium', 'bin', 'codium');
+		const host = { platform: 'linux', appName: 'VSCodium', appRoot };
+
+		assert.deepStrictEqual(resolveEditorCli({ ...host, override: '/custom/codium' }), { cli: '/custom/codium', source: 'setting' });
+		assert.deepStrictEqual(resolveEditorCli(host, file => file === launcher), { cli: launcher, source: 'appRoot' });
+		assert.deepStrictEqual(resolveEditorCli(host, () => false), { cli: 'codium', source: 'path' });
+		assert.strictEqual(resolveEditorCli({ platform: 'linux', appName: 'Unknown' }), undefined);
+	});
+
+	test('Looks for the launcher inside macOS app bundles and for .cmd files on Windows', () => {
+		const seen = [];
+		resolveEditorCli({ platform: 'darwin', appName: 'Cursor', appRoot: '/Applications/Cursor.app/Contents/Resources/app' }, file => seen.push(file));
+		resolveEditorCli({ platform: 'win32', appName: 'Cursor', appRoot: path.join('C:', 'Cursor', 'resources', 'app') }, file => seen.push(file));
+		assert.strictEqual(seen[0], path.join('/Applications/Cursor.app/Contents/Resources/app', 'bin', 'cursor'));
+		assert.strictEqual(seen[1], path.join('C:', 'Cursor', 'bin', 'cursor.cmd'));
+	});
+
+	test('Passes the version and platform to the Python installer', () => {
+		assert.deepStrictEqual(buildPythonInstallerArgs('pub.ext', 'codium'), ['pub.ext', '--ide', 'codium']);
+		assert.deepStrictEqual(
+			buildPythonInstallerArgs('pub.ext', 'codium', { version: '1.2.3', targetPlatform: 'linux-x64' }),
+			['pub.ext', '--ide', 'codium', '--extension-version', '1.2.3', '--target-platform', 'linux-x64']
+		);
+		assert.deepStrictEqual(
+			buildPythonInstallerArgs('pub.ext', 'code', { version: '1.2.3', targetPlatform: 'universal' }),
+			['pub.ext', '--ide', 'code', '--extension-version', '1.2.3']
+		);
+	});
+});
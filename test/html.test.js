@@ -0,0 +1,57 @@
+const assert = require('assert');
+const { escapeHtml, sanitizeHtml } = require('../html');
+
+suite('HTML Test Suite', () => {
+	test('Escapes markup and quotes', () => {
+		assert.strictEqual(
+			escapeHtml('<img src="x" onerror=\'alert(1)\'> & more'),
+			'&lt;img src=&quot;x&quot; onerror=&#39;alert(1)&#39;&gt; &amp; more'
+		);
+	});
+
+	test('Escapes ampersands only once', () => {
+		assert.strictEqual(escapeHtml('&lt;'), '&amp;lt;');
+	});
+
+	test('Turns other values into strings', () => {
+		assert.strictEqual(escapeHtml(undefined), '');
+		assert.strictEqual(escapeHtml(null), '');
+		assert.strictEqual(escapeHtml(4.5), '4.5');
+		assert.strictEqual(escapeHtml(0), '0');
+	});
+
+	test('Keeps formatting and safe links', () => {
+		const html = '<h2 align="center">Title</h2><p>A <strong>bold</strong> <a href="https://example.com/?a=1&amp;b=2" title="Site">link</a></p>' +
+			'<pre><code class="language-js"><span class="hljs-keyword">const</span> a &lt; b;</code></pre><img src="https://example.com/logo.png" alt="Logo" width="64">';
+		assert.strictEqual(sanitizeHtml(html), html);
+	});
+
+	test('Drops styles, classes, ids and event handlers', () => {
+		assert.strictEqual(
+			sanitizeHtml('<p style="position: fixed; inset: 0" class="detail-stats" id="tab-readme" onclick="x()" data-line="3">Text</p>'),
+			'<p>Text</p>'
+		);
+		assert.strictEqual(sanitizeHtml('<span class="hljs-string detail-header">x</span>'), '<span>x</span>');
+	});
+
+	test('Drops unsafe elements with their content, and unknown elements without it', () => {
+		assert.strictEqual(
+			sanitizeHtml('<style>body { display: none }</style><script>alert(1)</script><iframe src="https://x"></iframe><!-- note -->' +
+				'<form action="https://x"><input value="secret"><button>Send</button></form><center>Centered</center>'),
+			'SendCentered'
+		);
+	});
+
+	test('Drops links and images outside the allowed schemes', () => {
+		assert.strictEqual(sanitizeHtml('<a href="javascript:alert(1)">a</a>'), '<a>a</a>');
+		assert.strictEqual(sanitizeHtml('<a href="java&#x09;script:alert(1)">a</a>'), '<a>a</a>');
+		assert.strictEqual(sanitizeHtml('<a href="docs/guide.md">a</a>'), '<a>a</a>');
+		assert.strictEqual(sanitizeHtml('<a href="mailto:me@example.com">a</a>'), '<a href="mailto:me@example.com">a</a>');
+		assert.strictEqual(sanitizeHtml('<img src="http://example.com/a.png"><img src="data:image/png;base64,AA==">'), '<img><img src="data:image/png;base64,AA==">');
+	});
+
+	test('Balances tags so a document cannot close the panel\'s elements', () => {
+		assert.strictEqual(sanitizeHtml('<div><p>Text</section></div></div><b>open'), '<div><p>Text</p></div><b>open</b>');
+		assert.strictEqual(sanitizeHtml('a < b'), 'a &lt; b');
+	});
+});
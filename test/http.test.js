@@ -0,0 +1,57 @@
+const assert = require('assert');
+const fs = require('fs');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { resolveProxy, createHttpClient } = require('../http');
+const { NetworkError } = require('../errors');
+
+const BUNDLE = '-----BEGIN CERTIFICATE-----\nMIIBtest\n-----END CERTIFICATE-----\n';
+
+suite('HTTP Test Suite', () => {
+	test('Prefers the extension proxy, then http.proxy, then HTTPS_PROXY', () => {
+		const env = { HTTPS_PROXY: 'http://env:3128' };
+		assert.strictEqual(resolveProxy({ proxy: 'http://own:8080', httpProxy: 'http://editor:8080' }, env), 'http://own:8080');
+		assert.strictEqual(resolveProxy({ proxy: '', httpProxy: 'http://editor:8080' }, env), 'http://editor:8080');
+		assert.strictEqual(resolveProxy({}, env), 'http://env:3128');
+		assert.strictEqual(resolveProxy({}, { https_proxy: 'http://lower:3128' }), 'http://lower:3128');
+		assert.strictEqual(resolveProxy({}, {}), undefined);
+	});
+
+	test('Goes through a proxy agent when a proxy is set', () => {
+		const http = createHttpClient({ proxy: resolveProxy({}, { HTTPS_PROXY: 'http://env:3128' }), strictSSL: false });
+		assert.ok(http.defaults.httpsAgent instanceof HttpsProxyAgent);
+		assert.strictEqual(http.defaults.httpAgent, http.defaults.httpsAgent);
+		assert.strictEqual(http.defaults.httpsAgent.proxy.href, 'http://env:3128/');
+		assert.strictEqual(http.defaults.proxy, false);
+	});
+
+	test('Connects directly without a proxy', () => {
+		const http = createHttpClient({});
+		assert.ok(http.defaults.httpsAgent instanceof https.Agent);
+		assert.ok(!(http.defaults.httpsAgent instanceof HttpsProxyAgent));
+		assert.strictEqual(http.defaults.httpAgent, undefined);
+		assert.strictEqual(http.defaults.httpsAgent.options.rejectUnauthorized, true);
+	});
+
+	test('Trusts the CA bundle on top of the default roots', () => {
+		const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-'));
+		try {
+			const caBundle = path.join(tempDir, 'ca.pem');
+			fs.writeFileSync(caBundle, BUNDLE);
+			const { ca } = createHttpClient({ caBundle }).defaults.httpsAgent.options;
+			assert.deepStrictEqual(ca, [...tls.rootCertificates, BUNDLE]);
+		} finally {
+			fs.rmSync(tempDir, { recursive: true, force: true });
+		}
+	});
+
+	test('Fails when the CA bundle cannot be read', () => {
+		assert.throws(
+			() => createHttpClient({ caBundle: path.join(os.tmpdir(), 'missing-ca-bundle.pem') }),
+			error => error instanceof NetworkError && /Could not read CA bundle/.test(error.message)
+		);
+	});
+});
@@ -0,0 +1,30 @@
+const assert = require('assert');
+const { InstallHistory } = require('../InstallHistory');
+const { createMemento } = require('./helpers/memento');
+
+suite('Install History Test Suite', () => {
+	test('Lists entries newest first and looks them up by ID', async () => {
+		const history = new InstallHistory(createMemento());
+		const first = await history.add({ extensionId: 'publisher.a', newVersion: '1.0.0', source: 'marketplace', outcome: 'installed' });
+		const second = await history.add({ extensionId: 'publisher.a', oldVersion: '1.0.0', newVersion: '1.1.0', source: 'openvsx', outcome: 'installed' });
+
+		assert.notStrictEqual(first.id, second.id);
+		assert.ok(!isNaN(Date.parse(first.timestamp)));
+		assert.deepStrictEqual(history.list().map(entry => entry.newVersion), ['1.1.0', '1.0.0']);
+		assert.strictEqual(history.get(second.id).oldVersion, '1.0.0');
+		assert.strictEqual(history.get('missing'), undefined);
+	});
+
+	test('Keeps a bounded number of entries and can be cleared', async () => {
+		const history = new InstallHistory(createMemento());
+		for (let i = 0; i < 205; i++) {
+			await history.add({ extensionId: 'publisher.a', newVersion: `1.0.${i}`, source: 'marketplace', outcome: 'installed' });
+		}
+
+		assert.strictEqual(history.list().length, 200);
+		assert.strictEqual(history.list()[0].newVersion, '1.0.204');
+
+		await history.clear();
+		assert.deepStrictEqual(history.list(), []);
+	});
+});
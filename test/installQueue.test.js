@@ -0,0 +1,37 @@
+const assert = require('assert');
+const { InstallQueue, CancelledError } = require('../InstallQueue');
+
+suite('Install Queue Test Suite', () => {
+	test('Runs no more jobs than the concurrency allows', async () => {
+		const queue = new InstallQueue(1);
+		const order = [];
+		const job = name => async () => {
+			order.push(`start ${name}`);
+			await new Promise(resolve => setTimeout(resolve, 5));
+			order.push(`end ${name}`);
+		};
+		await Promise.all([queue.enqueue('a.one', job('one')), queue.enqueue('a.two', job('two'))]);
+		assert.deepStrictEqual(order, ['start one', 'end one', 'start two', 'end two']);
+	});
+
+	test('Drops a queued job when cancelled', async () => {
+		const queue = new InstallQueue(1);
+		const running = queue.enqueue('a.one', () => new Promise(resolve => setTimeout(resolve, 5)));
+		const queued = queue.enqueue('a.two', () => assert.fail('A cancelled job must not run'));
+		assert.ok(queue.has('A.Two'));
+		assert.strictEqual(queue.cancel('a.two'), true);
+		await assert.rejects(queued, CancelledError);
+		await running;
+		assert.strictEqual(queue.has('a.two'), false);
+	});
+
+	test('Aborts the signal of a running job', async () => {
+		const queue = new InstallQueue(1);
+		const running = queue.enqueue('a.one', signal => new Promise((resolve, reject) => {
+			signal.addEventListener('abort', () => reject(new CancelledError()));
+		}));
+		await new Promise(resolve => setImmediate(resolve));
+		queue.cancel('a.one');
+		await assert.rejects(running, CancelledError);
+	});
+});
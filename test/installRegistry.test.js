@@ -0,0 +1,19 @@
+const assert = require('assert');
+const { InstallRegistry } = require('../InstallRegistry');
+const { createMemento } = require('./helpers/memento');
+
+suite('Install Registry Test Suite', () => {
+	test('Records, replaces and removes installations', async () => {
+		const registry = new InstallRegistry(createMemento());
+		await registry.record('Publisher.B', '1.0.0', 'marketplace');
+		await registry.record('publisher.a', '2.0.0', 'openvsx');
+		await registry.record('publisher.b', '1.1.0', 'marketplace');
+
+		assert.deepStrictEqual(registry.list().map(record => `${record.extensionId}@${record.version}`), ['publisher.a@2.0.0', 'publisher.b@1.1.0']);
+		assert.strictEqual(registry.get('PUBLISHER.A').source, 'openvsx');
+
+		await registry.remove('publisher.a');
+		assert.strictEqual(registry.get('publisher.a'), undefined);
+		assert.strictEqual(registry.list().length, 1);
+	});
+});
@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { createManifest, parseManifest, planManifestImport } = require('../manifest');
+
+suite('Manifest Test Suite', () => {
+	test('Round-trips an exported manifest', () => {
+		const manifest = createManifest([
+			{ id: 'ms-python.python', version: '2024.2.1', source: 'marketplace', enabled: true },
+			{ id: 'acme.internal-tool', version: '0.1.0', source: 'local', enabled: false }
+		]);
+		assert.deepStrictEqual(parseManifest(JSON.stringify(manifest)).extensions, manifest.extensions.map(ext => ({ ...ext })));
+		assert.strictEqual(manifest.extensions[0].id, 'acme.internal-tool');
+	});
+
+	test('Rejects invalid manifests', () => {
+		assert.throws(() => parseManifest('{'), /not valid JSON/);
+		assert.throws(() => parseManifest('{"manifestVersion": 1}'), /no "extensions" list/);
+		assert.throws(() => parseManifest('{"manifestVersion": 99, "extensions": []}'), /only version 1 is supported/);
+		assert.throws(() => parseManifest('{"manifestVersion": 1, "extensions": [{"id": "no-publisher"}]}'), /Entry 1/);
+	});
+
+	test('Installs only missing marketplace extensions', () => {
+		const manifest = parseManifest(JSON.stringify({
+			manifestVersion: 1,
+			extensions: [
+				{ id: 'a.missing', version: '1.0.0', source: 'marketplace' },
+				{ id: 'a.same', version: '1.0.0', source: 'marketplace' },
+				{ id: 'a.other', version: '1.0.0', source: 'marketplace' },
+				{ id: 'a.local', version: '1.0.0', source: 'local' }
+			]
+		}));
+		const plan = planManifestImport(manifest, new Map([['a.same', '1.0.0'], ['a.other', '2.0.0']]));
+		assert.deepStrictEqual(plan.install.map(entry => entry.id), ['a.missing']);
+		assert.deepStrictEqual(plan.skipped.map(({ entry, reason }) => `${entry.id}: ${reason}`), [
+			'a.same: already installed',
+			'a.other: already installed at version 2.0.0',
+			'a.local: not published on the marketplace'
+		]);
+	});
+});
@@ -0,0 +1,31 @@
+const assert = require('assert');
+const { selectVersionEntry, selectDisplayedVersion } = require('../platform');
+
+suite('Platform Selection Test Suite', () => {
+	const versions = [
+		{ version: '2.0.0', targetPlatform: 'darwin-arm64' },
+		{ version: '1.1.0', targetPlatform: 'universal' },
+		{ version: '1.1.0', targetPlatform: 'linux-x64' },
+		{ version: '1.0.0' }
+	];
+
+	test('Prefers the build for the exact platform', () => {
+		assert.deepStrictEqual(selectVersionEntry(versions, 'linux-x64'), versions[2]);
+	});
+
+	test('Falls back to the universal build', () => {
+		assert.deepStrictEqual(selectVersionEntry(versions, 'win32-x64'), versions[1]);
+	});
+
+	test('Honours a requested version', () => {
+		assert.deepStrictEqual(selectVersionEntry(versions, 'linux-x64', '1.0.0'), versions[3]);
+		assert.strictEqual(selectVersionEntry(versions, 'linux-x64', '2.0.0'), undefined);
+	});
+
+	test('Shows the newest version when there is no build for the platform', () => {
+		assert.deepStrictEqual(selectDisplayedVersion(versions, 'linux-x64'), versions[2]);
+		const darwinOnly = [{ version: '3.0.0', targetPlatform: 'darwin-arm64' }, { version: '2.0.0', targetPlatform: 'darwin-x64' }];
+		assert.deepStrictEqual(selectDisplayedVersion(darwinOnly, 'linux-x64'), darwinOnly[0]);
+		assert.strictEqual(selectDisplayedVersion([], 'linux-x64'), undefined);
+	});
+});
@@ -0,0 +1,24 @@
+const assert = require('assert');
+const { parseJsonc, collectRecommendations } = require('../recommendations');
+
+suite('Workspace Recommendations Test Suite', () => {
+	test('Parses JSON with comments and trailing commas', () => {
+		const text = `{
+			// See https://go.microsoft.com/fwlink/?LinkId=827846
+			"recommendations": [
+				"ms-python.python", /* the language server */
+				"a.b // not a comment",
+			],
+		}`;
+		assert.deepStrictEqual(parseJsonc(text), { recommendations: ['ms-python.python', 'a.b // not a comment'] });
+		assert.deepStrictEqual(parseJsonc('{"a": "x,]"}'), { a: 'x,]' });
+	});
+
+	test('Merges recommendations and drops unwanted ones', () => {
+		const ids = collectRecommendations([
+			{ recommendations: ['ms-python.python', 'esbenp.prettier-vscode'] },
+			{ recommendations: ['MS-Python.python', 'dbaeumer.vscode-eslint'], unwantedRecommendations: ['esbenp.prettier-vscode'] }
+		]);
+		assert.deepStrictEqual(ids, ['ms-python.python', 'dbaeumer.vscode-eslint']);
+	});
+});
@@ -0,0 +1,26 @@
+const assert = require('assert');
+const { SearchCache } = require('../SearchCache');
+
+suite('Search Cache Test Suite', () => {
+	test('Evicts the least recently used entry when full', () => {
+		const cache = new SearchCache({ maxEntries: 2 });
+		cache.set('a', 1);
+		cache.set('b', 2);
+		assert.strictEqual(cache.get('a'), 1); // 'b' is now the least recently used
+		cache.set('c', 3);
+
+		assert.strictEqual(cache.get('b'), undefined);
+		assert.strictEqual(cache.get('a'), 1);
+		assert.strictEqual(cache.get('c'), 3);
+	});
+
+	test('Expires entries after their time to live', () => {
+		let now = 1000;
+		const cache = new SearchCache({ ttlMs: 100, now: () => now });
+		cache.set('a', 1);
+		now += 99;
+		assert.strictEqual(cache.get('a'), 1);
+		now += 1;
+		assert.strictEqual(cache.get('a'), undefined);
+	});
+});
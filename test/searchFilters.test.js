@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { normalizeSearch, buildGalleryFilter, buildOpenVsxSearch } = require('../searchFilters');
+const { FilterType, SortBy, SortOrder } = require('../MarketplaceClient');
+
+suite('Search Filters Test Suite', () => {
+	test('Treats an empty search as the popular landing view', () => {
+		const search = normalizeSearch({ query: '  ' });
+		assert.strictEqual(search.isLanding, true);
+		assert.strictEqual(search.sort, 'installs');
+		assert.strictEqual(normalizeSearch({ sort: 'updated' }).sort, 'updated');
+	});
+
+	test('Ignores unknown categories and sort keys', () => {
+		const search = normalizeSearch({ query: 'python', category: 'Nope', sort: 'random' });
+		assert.strictEqual(search.category, '');
+		assert.strictEqual(search.sort, 'relevance');
+		assert.strictEqual(search.isLanding, false);
+	});
+
+	test('Builds gallery criteria and sorting', () => {
+		const filter = buildGalleryFilter(normalizeSearch({ query: 'lint', category: 'Linters', tag: 'javascript', sort: 'rating' }));
+		assert.deepStrictEqual(filter.criteria.slice(2), [
+			{ filterType: FilterType.SearchText, value: 'lint' },
+			{ filterType: FilterType.Category, value: 'Linters' },
+			{ filterType: FilterType.Tag, value: 'javascript' }
+		]);
+		assert.strictEqual(filter.sortBy, SortBy.WeightedRating);
+		assert.strictEqual(filter.sortOrder, SortOrder.Descending);
+	});
+
+	test('Builds Open VSX parameters', () => {
+		assert.deepStrictEqual(buildOpenVsxSearch(normalizeSearch({ query: 'lint', tag: 'javascript', sort: 'name' })), {
+			query: 'lint javascript',
+			category: undefined,
+			sortBy: 'relevance',
+			sortOrder: 'asc'
+		});
+	});
+});
@@ -0,0 +1,93 @@
+const assert = require('assert');
+const axios = require('axios');
+const { MarketplaceClient } = require('../MarketplaceClient');
+const { Source, chooseDefaultSource, mergeResults, getTotalCount, hasMoreResults, describeSearchError } = require('../searchSources');
+
+/**
+ * A marketplace client whose HTTP client answers every query with the given page, or fails with the given error.
+ * @param {{extensions?: Array<Object>, resultMetadata?: Array<Object>}|Error} page The result object to return.
+ */
+function createClient(page) {
+	const client = new MarketplaceClient();
+	client._http = {
+		post: async () => {
+			if (page instanceof Error) {
+				throw page;
+			}
+			return { data: { results: [page] } };
+		}
+	};
+	return client;
+}
+
+/**
+ * Builds a page of `count` extensions.
+ * @param {number} count
+ */
+function extensions(count) {
+	return Array.from({ length: count }, (value, i) => ({ extensionName: `ext${i}`, publisher: { publisherName: 'pub' } }));
+}
+
+suite('Search Sources Test Suite', () => {
+	test('Defaults to Open VSX unless the marketplace is newer', () => {
+		assert.strictEqual(chooseDefaultSource({ marketplace: '1.2.0', openvsx: '1.2.0' }), Source.OpenVsx);
+		assert.strictEqual(chooseDefaultSource({ marketplace: '1.3.0', openvsx: '1.2.0' }), Source.Marketplace);
+		assert.strictEqual(chooseDefaultSource({ marketplace: '1.3.0' }), Source.Marketplace);
+		assert.strictEqual(chooseDefaultSource({ openvsx: '0.1.0' }), Source.OpenVsx);
+	});
+
+	test('Merges results by extension ID', () => {
+		const shown = new Set();
+		const merged = mergeResults(
+			[{ extensionId: 'Red.Hat', version: '2.0.0' }, { extensionId: 'ms.only', version: '1.0.0' }],
+			[{ extensionId: 'red.hat', version: '2.0.0' }, { extensionId: 'ovsx.only', version: '0.5.0' }],
+			shown
+		);
+		assert.deepStrictEqual(merged.map(ext => [ext.extensionId, ext.versions, ext.defaultSource]), [
+			['Red.Hat', { marketplace: '2.0.0', openvsx: '2.0.0' }, Source.OpenVsx],
+			['ms.only', { marketplace: '1.0.0', openvsx: undefined }, Source.Marketplace],
+			['ovsx.only', { openvsx: '0.5.0' }, Source.OpenVsx]
+		]);
+
+		// A later page does not repeat what was already shown
+		const next = mergeResults([{ extensionId: 'ovsx.only', version: '0.5.0' }], [], shown);
+		assert.deepStrictEqual(next, []);
+	});
+
+	test('Reads the total count from the result metadata', async () => {
+		const result = await createClient({
+			extensions: extensions(50),
+			resultMetadata: [
+				{ metadataType: 'Categories', metadataItems: [{ name: 'Themes', count: 3 }] },
+				{ metadataType: 'ResultCount', metadataItems: [{ name: 'TotalCount', count: 120 }] }
+			]
+		}).query([], 0, { pageNumber: 2, pageSize: 50 });
+		assert.strictEqual(getTotalCount(result, 2, 50), 120);
+		assert.strictEqual(hasMoreResults(2, 50, 120), true);
+		assert.strictEqual(hasMoreResults(3, 50, 120), false);
+	});
+
+	test('Assumes another page after a full page without metadata', async () => {
+		const full = await createClient({ extensions: extensions(50) }).query([], 0, { pageNumber: 1, pageSize: 50 });
+		assert.strictEqual(getTotalCount(full, 1, 50), 51);
+		assert.strictEqual(hasMoreResults(1, 50, getTotalCount(full, 1, 50)), true);
+
+		const last = await createClient({ extensions: extensions(20) }).query([], 0, { pageNumber: 2, pageSize: 50 });
+		assert.strictEqual(getTotalCount(last, 2, 50), 70);
+		assert.strictEqual(hasMoreResults(2, 50, getTotalCount(last, 2, 50)), false);
+	});
+
+	test('Keeps the shown results when a later page fails', async () => {
+		const error = new axios.AxiosError('socket hang up', 'ECONNRESET', {}, {});
+		await assert.rejects(createClient(error).query([], 0, { pageNumber: 2 }), /socket hang up/);
+
+		assert.deepStrictEqual(describeSearchError(error, 2), {
+			type: 'loadMoreFailed',
+			value: 'Network error during search. Check your internet connection.'
+		});
+		assert.strictEqual(describeSearchError(error, 1).type, 'showError');
+		const notFound = new axios.AxiosError('Not Found', 'ERR_BAD_REQUEST', {}, {}, { status: 404 });
+		assert.match(describeSearchError(notFound, 1).value, /endpoint not found/);
+		assert.match(describeSearchError(new Error('boom'), 1).value, /^Search failed/);
+	});
+});
@@ -0,0 +1,41 @@
+const assert = require('assert');
+const { getTrustIndicators, findLicenseWarnings } = require('../trust');
+
+suite('Trust Test Suite', () => {
+	test('Reads the preview and publisher flags of a gallery extension', () => {
+		const indicators = getTrustIndicators({
+			flags: 'validated, public, preview',
+			publisher: { publisherName: 'ms-python', flags: 'verified', isDomainVerified: true, domain: 'https://microsoft.com' }
+		});
+		assert.deepStrictEqual(indicators, {
+			isPreview: true,
+			isDomainVerified: true,
+			publisherDomain: 'https://microsoft.com',
+			publisherFlags: ['verified']
+		});
+
+		const unverified = getTrustIndicators({ flags: 'validated, public', publisher: { flags: 'none', domain: null } });
+		assert.strictEqual(unverified.isPreview, false);
+		assert.strictEqual(unverified.isDomainVerified, false);
+		assert.strictEqual(unverified.publisherDomain, undefined);
+		assert.deepStrictEqual(unverified.publisherFlags, []);
+	});
+
+	test('Matches publishers and extension IDs ignoring case', () => {
+		const warnings = { publishers: ['ms-vscode-remote', 'MS-Python.vscode-pylance'] };
+		assert.strictEqual(findLicenseWarnings({ extensionId: 'ms-vscode-remote.remote-ssh' }, warnings).length, 1);
+		assert.strictEqual(findLicenseWarnings({ extensionId: 'ms-python.vscode-pylance' }, warnings).length, 1);
+		assert.deepStrictEqual(findLicenseWarnings({ extensionId: 'ms-python.python' }, warnings), []);
+		// A publisher entry must match the whole publisher, not a prefix
+		assert.deepStrictEqual(findLicenseWarnings({ extensionId: 'ms-vscode.cpptools' }, warnings), []);
+	});
+
+	test('Matches licenses containing a listed entry', () => {
+		const warnings = { licenses: ['see license in'] };
+		const reasons = findLicenseWarnings({ extensionId: 'publisher.a', license: 'SEE LICENSE IN LICENSE.txt' }, warnings);
+		assert.strictEqual(reasons.length, 1);
+		assert.ok(reasons[0].includes('SEE LICENSE IN LICENSE.txt'));
+		assert.deepStrictEqual(findLicenseWarnings({ extensionId: 'publisher.a', license: 'MIT' }, warnings), []);
+		assert.deepStrictEqual(findLicenseWarnings({ extensionId: 'publisher.a' }, warnings), []);
+	});
+});
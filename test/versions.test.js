@@ -0,0 +1,54 @@
+const assert = require('assert');
+const { compareVersions, isEngineCompatible, toVersionPickItems } = require('../versions');
+
+suite('Version Comparison Test Suite', () => {
+	test('Orders versions numerically', () => {
+		assert.ok(compareVersions('1.10.0', '1.9.0') > 0);
+		assert.ok(compareVersions('1.2.3', '1.2.4') < 0);
+		assert.strictEqual(compareVersions('2.0.0', '2.0.0'), 0);
+	});
+
+	test('Treats missing parts as zero', () => {
+		assert.strictEqual(compareVersions('1.2', '1.2.0'), 0);
+	});
+
+	test('Sorts pre-releases before their release', () => {
+		assert.ok(compareVersions('1.0.0-beta', '1.0.0') < 0);
+		assert.ok(compareVersions('1.0.0', '1.0.0-beta') > 0);
+	});
+
+	test('Checks engine ranges like the editor', () => {
+		assert.ok(isEngineCompatible('^1.75.0', '1.80.1'));
+		assert.ok(isEngineCompatible('^1.75.0', '1.75.0'));
+		assert.ok(!isEngineCompatible('^1.90.0', '1.85.2'));
+		assert.ok(!isEngineCompatible('^1.75.0', '2.0.0'));
+		assert.ok(isEngineCompatible('>=1.75.0', '2.0.0'));
+		assert.ok(isEngineCompatible('1.80.x', '1.80.3'));
+		assert.ok(!isEngineCompatible('1.80.0', '1.81.0'));
+		assert.ok(isEngineCompatible('^1.91.0-insider', '1.91.1'));
+	});
+
+	test('Accepts missing and unknown engine ranges', () => {
+		assert.ok(isEngineCompatible(undefined, '1.80.0'));
+		assert.ok(isEngineCompatible('*', '1.80.0'));
+		assert.ok(isEngineCompatible('~1.80.0 || ^2.0.0', '1.80.0'));
+	});
+
+	test('Builds the version picker items', () => {
+		const versions = [
+			{ version: '2.1.0', lastUpdated: '2024-05-01T00:00:00Z', isPreRelease: true, engine: '^1.90.0', isEngineCompatible: false },
+			{ version: '2.0.0', isPreRelease: false, engine: '^1.80.0', isEngineCompatible: true }
+		];
+		const items = toVersionPickItems(versions, { hostVersion: '1.85.0' });
+		assert.deepStrictEqual(items.map(item => [item.label, item.version, item.detail]), [
+			['2.1.0', '2.1.0', '$(beaker) Pre-release  $(warning) Needs an editor matching ^1.90.0 (this one is 1.85.0)'],
+			['2.0.0', '2.0.0', undefined]
+		]);
+		assert.strictEqual(items[0].description, new Date('2024-05-01T00:00:00Z').toLocaleDateString());
+		assert.strictEqual(items[1].description, '');
+
+		const withLatest = toVersionPickItems(versions, { hostVersion: '1.85.0', offerLatest: true });
+		assert.deepStrictEqual(withLatest[0], { label: '$(star) Latest compatible version', description: '2.0.0', version: undefined });
+		assert.strictEqual(withLatest.length, 3);
+	});
+});
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findVSCodeExtensionDirs, readVSCodeExtensions, compareWithInstalled } = require('../vscodeImport');
+
+suite('VS Code Import Test Suite', () => {
+	let homeDir;
+
+	setup(() => {
+		homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vscode-import-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(homeDir, { recursive: true, force: true });
+	});
+
+	test('Finds the Stable and Insiders extensions directories that exist', async () => {
+		fs.mkdirSync(path.join(homeDir, '.vscode-insiders', 'extensions'), { recursive: true });
+
+		const found = await findVSCodeExtensionDirs({ homeDir });
+		assert.deepStrictEqual(found.map(install => install.label), ['VS Code Insiders']);
+
+		fs.mkdirSync(path.join(homeDir, '.vscode', 'extensions'), { recursive: true });
+		assert.deepStrictEqual((await findVSCodeExtensionDirs({ homeDir })).map(install => install.label), ['VS Code', 'VS Code Insiders']);
+	});
+
+	test('Reads the extensions index, falling back to the extension manifests', async () => {
+		const indexed = path.join(homeDir, 'indexed');
+		fs.mkdirSync(indexed);
+		fs.writeFileSync(path.join(indexed, 'extensions.json'), JSON.stringify([
+			{ identifier: { id: 'pub.a' }, version: '1.0.0', relativeLocation: 'pub.a-1.0.0' },
+			{ identifier: { id: 'pub.a' }, version: '1.2.0', relativeLocation: 'pub.a-1.2.0' }
+		]));
+		assert.deepStrictEqual(await readVSCodeExtensions(indexed), [{ id: 'pub.a', version: '1.2.0' }]);
+
+		const legacy = path.join(homeDir, 'legacy');
+		fs.mkdirSync(path.join(legacy, 'pub.b-2.0.0'), { recursive: true });
+		fs.writeFileSync(path.join(legacy, 'pub.b-2.0.0', 'package.json'), JSON.stringify({ publisher: 'pub', name: 'b', version: '2.0.0' }));
+		assert.deepStrictEqual(await readVSCodeExtensions(legacy), [{ id: 'pub.b', version: '2.0.0' }]);
+	});
+
+	test('Marks extensions that are already installed', () => {
+		const installed = new Map([['pub.a', '1.0.0'], ['pub.b', '2.0.0'], ['pub.c', '3.1.0']]);
+		const items = compareWithInstalled([
+			{ id: 'pub.d', version: '1.0.0' },
+			{ id: 'pub.c', version: '3.0.0' },
+			{ id: 'Pub.B', version: '2.0.0' },
+			{ id: 'pub.a', version: '1.1.0' }
+		], installed);
+		assert.deepStrictEqual(items.map(item => `${item.id}:${item.status}`), ['pub.a:older', 'Pub.B:same', 'pub.c:newer', 'pub.d:missing']);
+	});
+});
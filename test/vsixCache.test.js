@@ -0,0 +1,145 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { VsixCache } = require('../VsixCache');
+const { readZipEntry } = require('../zip');
+
+/**
+ * Builds a ZIP archive in memory.
+ * @param {Array<{name: string, content: string, deflate?: boolean}>} files The files of the archive.
+ * @returns {Buffer}
+ */
+function createZip(files) {
+	const localParts = [];
+	const centralParts = [];
+	let offset = 0;
+	for (const file of files) {
+		const name = Buffer.from(file.name);
+		const data = file.deflate ? zlib.deflateRawSync(Buffer.from(file.content)) : Buffer.from(file.content);
+		const method = file.deflate ? 8 : 0;
+
+		const local = Buffer.alloc(30);
+		local.writeUInt32LE(0x04034b50, 0);
+		local.writeUInt16LE(method, 8);
+		local.writeUInt32LE(data.length, 18);
+		local.writeUInt32LE(Buffer.byteLength(file.content), 22);
+		local.writeUInt16LE(name.length, 26);
+		localParts.push(local, name, data);
+
+		const central = Buffer.alloc(46);
+		central.writeUInt32LE(0x02014b50, 0);
+		central.writeUInt16LE(method, 10);
+		central.writeUInt32LE(data.length, 20);
+		central.writeUInt32LE(Buffer.byteLength(file.content), 24);
+		central.writeUInt16LE(name.length, 28);
+		central.writeUInt32LE(offset, 42);
+		centralParts.push(central, name);
+
+		offset += local.length + name.length + data.length;
+	}
+	const centralDirectory = Buffer.concat(centralParts);
+	const end = Buffer.alloc(22);
+	end.writeUInt32LE(0x06054b50, 0);
+	end.writeUInt16LE(files.length, 8);
+	end.writeUInt16LE(files.length, 10);
+	end.writeUInt32LE(centralDirectory.length, 12);
+	end.writeUInt32LE(offset, 16);
+	return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+suite('VSIX Cache Test Suite', () => {
+	let tempDir;
+	let cache;
+
+	/**
+	 * Writes a fake downloaded package.
+	 * @param {string} content The content of the package.
+	 * @returns {{filePath: string, sha256: string, size: number}}
+	 */
+	function download(content) {
+		const filePath = path.join(tempDir, `download-${crypto.randomUUID()}.vsix`);
+		fs.writeFileSync(filePath, content);
+		return { filePath, sha256: crypto.createHash('sha256').update(content).digest('hex'), size: Buffer.byteLength(content) };
+	}
+
+	setup(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vsix-cache-'));
+		cache = new VsixCache(path.join(tempDir, 'cache'));
+	});
+
+	teardown(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	test('Caches a package matching the expected digest', async () => {
+		const { filePath, sha256, size } = download('package');
+		const cachedPath = await cache.add('Publisher.A', '1.0.0', undefined, filePath, { sha256, size });
+
+		assert.strictEqual(fs.existsSync(filePath), false); // Moved, not copied
+		assert.strictEqual(await cache.get('publisher.a', '1.0.0'), cachedPath);
+		const [entry] = await cache.list();
+		assert.strictEqual(entry.verified, true);
+		assert.strictEqual(entry.targetPlatform, 'universal');
+	});
+
+	test('Rejects a package that does not match the expected digest and does not cache it', async () => {
+		const { filePath } = download('tampered');
+		await assert.rejects(
+			cache.add('publisher.a', '1.0.0', undefined, filePath, { sha256: '0'.repeat(64) }),
+			/Integrity check failed/
+		);
+		assert.strictEqual(fs.existsSync(filePath), false);
+		assert.strictEqual(await cache.get('publisher.a', '1.0.0'), undefined);
+		assert.deepStrictEqual(await cache.list(), []);
+	});
+
+	test('Discards a package whose file changed after caching', async () => {
+		const { filePath, sha256 } = download('package');
+		const cachedPath = await cache.add('publisher.a', '1.0.0', 'linux-x64', filePath, { sha256 });
+		fs.writeFileSync(cachedPath, 'modified');
+
+		assert.strictEqual(await cache.get('publisher.a', '1.0.0', 'linux-x64'), undefined);
+		assert.strictEqual(fs.existsSync(cachedPath), false);
+		assert.deepStrictEqual(await cache.list(), []);
+	});
+
+	test('Keeps the entries of packages added concurrently', async () => {
+		await Promise.all(['1.0.0', '1.1.0', '1.2.0', '1.3.0'].map((version, i) =>
+			cache.add(`publisher.e${i}`, version, undefined, download(version).filePath)
+		));
+		assert.strictEqual((await cache.list()).length, 4);
+	});
+
+	test('Prunes all but the newest version per platform, and entries whose file is gone', async () => {
+		for (const [id, version, platform] of [
+			['publisher.a', '1.0.0', undefined],
+			['publisher.a', '1.10.0', undefined],
+			['publisher.a', '1.2.0', undefined],
+			['publisher.a', '1.0.0', 'win32-x64'],
+			['publisher.b', '2.0.0', undefined]
+		]) {
+			await cache.add(id, version, platform, download(`${id}-${version}-${platform}`).filePath);
+		}
+		fs.unlinkSync((await cache.list()).find(entry => entry.extensionId === 'publisher.b').filePath);
+
+		assert.strictEqual(await cache.prune(), 3);
+		assert.deepStrictEqual(
+			(await cache.list()).map(entry => `${entry.extensionId}@${entry.version}@${entry.targetPlatform}`),
+			['publisher.a@1.10.0@universal', 'publisher.a@1.0.0@win32-x64']
+		);
+	});
+
+	test('Reads stored and deflated ZIP entries', () => {
+		const archive = createZip([
+			{ name: 'stored.txt', content: 'stored content' },
+			{ name: '.signature.manifest', content: '{"package":{"digests":{"sha256":"abc"}}}', deflate: true }
+		]);
+		assert.strictEqual(readZipEntry(archive, 'stored.txt').toString(), 'stored content');
+		assert.strictEqual(readZipEntry(archive, '.signature.manifest').toString(), '{"package":{"digests":{"sha256":"abc"}}}');
+		assert.strictEqual(readZipEntry(archive, 'missing.txt'), undefined);
+		assert.throws(() => readZipEntry(Buffer.alloc(64), 'stored.txt'), /Not a ZIP archive/);
+	});
+});
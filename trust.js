@@ -0,0 +1,65 @@
+/**
+ * Splits a gallery flags string (e.g. 'validated, public, preview') into its flags.
+ * @param {string|undefined} flags The comma-separated flags.
+ * @returns {string[]} The lowercase flags, without the 'none' placeholder.
+ */
+function parseFlags(flags) {
+    return String(flags || '')
+        .split(',')
+        .map(flag => flag.trim().toLowerCase())
+        .filter(flag => flag && flag !== 'none');
+}
+
+/**
+ * Reads the publisher verification and preview status of a gallery extension, for the badges of the search results.
+ * @param {Object} extension An extension returned by the gallery `extensionquery` endpoint.
+ * @returns {{isPreview: boolean, isDomainVerified: boolean, publisherDomain: string|undefined, publisherFlags: string[]}}
+ * `isDomainVerified` is set when the publisher proved that it owns `publisherDomain`; `publisherFlags` holds
+ * e.g. 'verified' for publishers verified by Microsoft.
+ */
+function getTrustIndicators(extension) {
+    const publisher = extension.publisher || {};
+    return {
+        isPreview: parseFlags(extension.flags).includes('preview'),
+        isDomainVerified: publisher.isDomainVerified === true,
+        publisherDomain: publisher.domain || undefined,
+        publisherFlags: parseFlags(publisher.flags)
+    };
+}
+
+/**
+ * Checks an extension against the license warning lists.
+ * Publisher entries match a publisher (e.g. 'ms-vscode-remote') or a full extension ID (e.g.
+ * 'ms-python.vscode-pylance'); license entries match any license whose text contains them, ignoring case.
+ * @param {{extensionId: string, license?: string}} extension The extension, with the `license` of its manifest if known.
+ * @param {{publishers?: string[], licenses?: string[]}} warnings The configured warning lists.
+ * @returns {string[]} Why the extension is on a list; empty if it is on none.
+ */
+function findLicenseWarnings(extension, warnings) {
+    const id = extension.extensionId.toLowerCase();
+    const publisher = id.slice(0, id.indexOf('.'));
+    const reasons = [];
+
+    const publisherEntry = (warnings.publishers || []).find(entry => {
+        const key = String(entry).trim().toLowerCase();
+        return key === publisher || key === id;
+    });
+    if (publisherEntry) {
+        reasons.push(`"${publisherEntry}" is on the publisher warning list`);
+    }
+
+    const license = String(extension.license || '').toLowerCase();
+    const licenseEntry = license && (warnings.licenses || []).find(entry => {
+        const key = String(entry).trim().toLowerCase();
+        return key && license.includes(key);
+    });
+    if (licenseEntry) {
+        reasons.push(`its license (${extension.license}) matches "${licenseEntry}" on the license warning list`);
+    }
+    return reasons;
+}
+
+module.exports = {
+    getTrustIndicators,
+    findLicenseWarnings
+};
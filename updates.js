@@ -0,0 +1,59 @@
+const vscode = require('vscode');
+const { compareVersions } = require('./versions');
+
+/**
+ * Lists the extensions installed by the user (built-in extensions are skipped).
+ * @returns {vscode.Extension<any>[]}
+ */
+function getUserExtensions() {
+    return vscode.extensions.all.filter(ext => !ext.packageJSON.isBuiltin && !ext.extensionPath.startsWith(vscode.env.appRoot));
+}
+
+/**
+ * Compares the installed extensions with their latest marketplace versions.
+ * Extensions that are not published on the Visual Studio Marketplace are ignored.
+ * @param {import('./MarketplaceClient').MarketplaceClient} marketplaceClient The client used for marketplace requests.
+ * @param {function(string): void} [log] Records the check.
+ * @returns {Promise<Array<{extensionId: string, displayName: string, currentVersion: string, latestVersion: string}>>}
+ * The outdated extensions, sorted by display name.
+ */
+async function findOutdatedExtensions(marketplaceClient, log = () => {}) {
+    const installed = getUserExtensions();
+    log(`Checking ${installed.length} installed extensions for updates...`);
+    const latestVersions = await marketplaceClient.getLatestVersions(installed.map(ext => ext.id));
+
+    const outdated = [];
+    for (const ext of installed) {
+        const latestVersion = latestVersions.get(ext.id.toLowerCase());
+        const currentVersion = ext.packageJSON.version;
+        if (latestVersion && compareVersions(latestVersion, currentVersion) > 0) {
+            outdated.push({
+                extensionId: ext.id,
+                // Localized manifests hold a '%placeholder%' instead of the display name
+                displayName: ext.packageJSON.displayName && !ext.packageJSON.displayName.startsWith('%') ? ext.packageJSON.displayName : ext.id,
+                currentVersion,
+                latestVersion
+            });
+        }
+    }
+    return outdated.sort((a, b) => a.displayName.localeCompare(b.displayName));
+}
+
+/**
+ * Installs the latest version of each outdated extension, as one batch with a single progress notification,
+ * summary and "Reload Window" prompt. The install queue decides how many run at the same time.
+ * @param {Array<{extensionId: string, latestVersion: string}>} updates The outdated extensions.
+ * @param {function(Array<{extensionId: string, version?: string}>): Promise<Array<Object>>} installMany The
+ * installMany function from extension.js.
+ */
+async function updateExtensions(updates, installMany) {
+    if (updates.length > 0) {
+        await installMany(updates.map(update => ({ extensionId: update.extensionId, version: update.latestVersion })));
+    }
+}
+
+module.exports = {
+    findOutdatedExtensions,
+    updateExtensions,
+    getUserExtensions
+};
@@ -0,0 +1,105 @@
+/**
+ * Splits a version string into its numeric core and pre-release tag.
+ * @param {string} version A semver-like version (e.g., '1.2.3' or '1.2.3-beta.1').
+ * @returns {{parts: number[], preRelease: string}}
+ */
+function parseVersion(version) {
+    const [core, ...rest] = String(version).trim().replace(/^v/i, '').split('-');
+    const parts = core.split('.').map(part => parseInt(part, 10) || 0);
+    while (parts.length < 3) {
+        parts.push(0);
+    }
+    return { parts, preRelease: rest.join('-') };
+}
+
+/**
+ * Compares two semver-like versions.
+ * @param {string} a The first version.
+ * @param {string} b The second version.
+ * @returns {number} A negative number if a < b, zero if they are equal, a positive number if a > b.
+ */
+function compareVersions(a, b) {
+    const va = parseVersion(a);
+    const vb = parseVersion(b);
+    const length = Math.max(va.parts.length, vb.parts.length);
+    for (let i = 0; i < length; i++) {
+        const diff = (va.parts[i] || 0) - (vb.parts[i] || 0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+    // A pre-release sorts before the release it precedes (1.0.0-beta < 1.0.0)
+    if (va.preRelease === vb.preRelease) {
+        return 0;
+    }
+    if (!va.preRelease) {
+        return 1;
+    }
+    if (!vb.preRelease) {
+        return -1;
+    }
+    return va.preRelease < vb.preRelease ? -1 : 1;
+}
+
+/**
+ * Tells whether an editor version satisfies an extension's `engines.vscode` range, the way the editor checks it:
+ * `^1.75.0` needs 1.x at 1.75.0 or later, `>=1.75.0` any later version, `1.75.x` any 1.75 release and an exact
+ * version that very release. Ranges in another format are accepted, leaving the final say to the editor.
+ * @param {string|undefined} engine The range (e.g., '^1.75.0'); a missing range or '*' matches every version.
+ * @param {string} hostVersion The editor version (e.g., `vscode.version`).
+ * @returns {boolean}
+ */
+function isEngineCompatible(engine, hostVersion) {
+    const range = String(engine || '').trim();
+    const match = /^(\^|>=)?\s*v?(\d+|x)(?:\.(\d+|x))?(?:\.(\d+|x))?(?:-\S*)?$/.exec(range);
+    if (!match) {
+        return true;
+    }
+    const operator = match[1];
+    const wanted = match.slice(2, 5).map(part => part === undefined || part === 'x' ? undefined : parseInt(part, 10));
+    const host = parseVersion(hostVersion).parts;
+    for (let i = 0; i < 3; i++) {
+        if (wanted[i] === undefined) {
+            return true; // A wildcard matches the rest
+        }
+        if (host[i] !== wanted[i]) {
+            // '^' pins the major version (or the minor one of 0.x ranges); a plain version pins every part
+            const mustEqual = !operator || (operator === '^' && (i === 0 || (i === 1 && wanted[0] === 0)));
+            return !mustEqual && host[i] > wanted[i];
+        }
+    }
+    return true;
+}
+
+/**
+ * Builds the items of the version picker: one per version, marking pre-releases and versions that need a newer
+ * editor, and optionally a first item installing the newest version the editor can run.
+ * @param {Array<{version: string, lastUpdated?: string, isPreRelease: boolean, engine?: string,
+ * isEngineCompatible: boolean}>} versions The versions, newest first (see `MarketplaceClient.getVersions`).
+ * @param {{hostVersion: string, offerLatest?: boolean}} options The running editor's version, and whether to offer
+ * the latest compatible version (whose item has no `version`).
+ * @returns {Array<{label: string, description: string|undefined, detail?: string, version: string|undefined}>}
+ */
+function toVersionPickItems(versions, options) {
+    const items = versions.map(v => ({
+        label: v.version,
+        description: v.lastUpdated ? new Date(v.lastUpdated).toLocaleDateString() : '',
+        detail: [
+            v.isPreRelease ? '$(beaker) Pre-release' : undefined,
+            v.isEngineCompatible ? undefined : `$(warning) Needs an editor matching ${v.engine} (this one is ${options.hostVersion})`
+        ].filter(Boolean).join('  ') || undefined,
+        version: v.version
+    }));
+    if (options.offerLatest) {
+        // Without an exact version, the newest version this editor can run is installed
+        const newest = versions.find(v => v.isEngineCompatible && !v.isPreRelease) || versions[0];
+        items.unshift({ label: '$(star) Latest compatible version', description: newest?.version, version: undefined });
+    }
+    return items;
+}
+
+module.exports = {
+    compareVersions,
+    isEngineCompatible,
+    toVersionPickItems
+};
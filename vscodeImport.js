@@ -0,0 +1,104 @@
+const path = require('path');
+const fs = require('fs');
+const { readExtensionsIndex } = require('./extensionsIndex');
+const { isValidExtensionId } = require('./MarketplaceClient');
+const { compareVersions } = require('./versions');
+
+/**
+ * Lists the extensions directories of the VS Code installs that exist on this machine.
+ * Stable and Insiders keep their extensions under the home directory. A portable install keeps them in its
+ * `data` directory, which has to be browsed to: `VSCODE_PORTABLE` is set by the running editor, so in a portable
+ * VSCodium it points at VSCodium's own extensions.
+ * @param {{homeDir: string}} options The user's home directory.
+ * @returns {Promise<Array<{label: string, dir: string}>>} The existing directories, Stable first.
+ */
+async function findVSCodeExtensionDirs(options) {
+    const candidates = [
+        { label: 'VS Code', dir: path.join(options.homeDir, '.vscode', 'extensions') },
+        { label: 'VS Code Insiders', dir: path.join(options.homeDir, '.vscode-insiders', 'extensions') }
+    ];
+
+    const found = [];
+    for (const candidate of candidates) {
+        const stat = await fs.promises.stat(candidate.dir).catch(() => undefined);
+        if (stat && stat.isDirectory()) {
+            found.push(candidate);
+        }
+    }
+    return found;
+}
+
+/**
+ * Lists the extensions installed in a VS Code extensions directory.
+ * The `extensions.json` index is used when present; directories of editors older than 1.74, which have no index,
+ * are scanned for extension manifests instead.
+ * @param {string} extensionsDir The extensions directory.
+ * @returns {Promise<Array<{id: string, version: string}>>} The extensions, one entry per ID (the newest version).
+ */
+async function readVSCodeExtensions(extensionsDir) {
+    let extensions = await readExtensionsIndex(extensionsDir);
+    if (extensions.length === 0) {
+        extensions = await scanExtensionsDir(extensionsDir);
+    }
+
+    const newest = new Map();
+    for (const { id, version } of extensions) {
+        const current = newest.get(id.toLowerCase());
+        if (isValidExtensionId(id) && (!current || compareVersions(version, current.version) > 0)) {
+            newest.set(id.toLowerCase(), { id, version });
+        }
+    }
+    return [...newest.values()];
+}
+
+/**
+ * Reads the `package.json` of every extension folder in a directory.
+ * @param {string} extensionsDir The extensions directory.
+ * @returns {Promise<Array<{id: string, version: string}>>}
+ */
+async function scanExtensionsDir(extensionsDir) {
+    const entries = await fs.promises.readdir(extensionsDir, { withFileTypes: true }).catch(() => []);
+    const extensions = [];
+    for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name.startsWith('.')) {
+            continue;
+        }
+        try {
+            const manifest = JSON.parse(await fs.promises.readFile(path.join(extensionsDir, entry.name, 'package.json'), 'utf8'));
+            if (manifest.publisher && manifest.name && manifest.version) {
+                extensions.push({ id: `${manifest.publisher}.${manifest.name}`, version: manifest.version });
+            }
+        } catch (error) {
+            // Not an extension folder, or a broken one; neither can be imported
+        }
+    }
+    return extensions;
+}
+
+/**
+ * Compares the extensions of a VS Code install with the installed ones, for the import picker.
+ * @param {Array<{id: string, version: string}>} extensions The extensions found in VS Code.
+ * @param {Map<string, string>} installedVersions The installed version of each extension, keyed by lowercase ID.
+ * @returns {Array<{id: string, version: string, installedVersion: string|undefined,
+ * status: 'missing'|'older'|'same'|'newer'}>} The extensions sorted by ID. `status` compares the installed version
+ * with the one in VS Code: 'older' means the installed version is older.
+ */
+function compareWithInstalled(extensions, installedVersions) {
+    return extensions
+        .map(({ id, version }) => {
+            const installedVersion = installedVersions.get(id.toLowerCase());
+            let status = 'missing';
+            if (installedVersion !== undefined) {
+                const order = compareVersions(installedVersion, version);
+                status = order < 0 ? 'older' : order > 0 ? 'newer' : 'same';
+            }
+            return { id, version, installedVersion, status };
+        })
+        .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+module.exports = {
+    findVSCodeExtensionDirs,
+    readVSCodeExtensions,
+    compareWithInstalled
+};
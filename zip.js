@@ -0,0 +1,64 @@
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Reads a single file from a ZIP archive held in memory.
+ * Only what VSIX signature archives need is supported: stored and deflated entries, no ZIP64.
+ * @param {Buffer} archive The ZIP archive.
+ * @param {string} entryName The path of the file inside the archive.
+ * @returns {Buffer|undefined} The file's content, or undefined if the archive has no such file.
+ * @throws {Error} If the archive is malformed or uses an unsupported compression method.
+ */
+function readZipEntry(archive, entryName) {
+    // The end of central directory record sits at the end, possibly followed by a comment of up to 64 KiB
+    let eocd = -1;
+    for (let i = archive.length - 22; i >= Math.max(0, archive.length - 22 - 0xffff); i--) {
+        if (archive.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) {
+        throw new Error('Not a ZIP archive.');
+    }
+
+    const entryCount = archive.readUInt16LE(eocd + 10);
+    let offset = archive.readUInt32LE(eocd + 16);
+    for (let i = 0; i < entryCount; i++) {
+        if (archive.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+            throw new Error('Malformed ZIP central directory.');
+        }
+        const method = archive.readUInt16LE(offset + 10);
+        const compressedSize = archive.readUInt32LE(offset + 20);
+        const nameLength = archive.readUInt16LE(offset + 28);
+        const extraLength = archive.readUInt16LE(offset + 30);
+        const commentLength = archive.readUInt16LE(offset + 32);
+        const localHeaderOffset = archive.readUInt32LE(offset + 42);
+        const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        if (name === entryName) {
+            if (archive.readUInt32LE(localHeaderOffset) !== LOCAL_FILE_HEADER) {
+                throw new Error(`Malformed ZIP entry "${name}".`);
+            }
+            const dataStart = localHeaderOffset + 30 +
+                archive.readUInt16LE(localHeaderOffset + 26) + archive.readUInt16LE(localHeaderOffset + 28);
+            const data = archive.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) {
+                return Buffer.from(data);
+            }
+            if (method === 8) {
+                return zlib.inflateRawSync(data);
+            }
+            throw new Error(`Unsupported ZIP compression method ${method} for "${name}".`);
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return undefined;
+}
+
+module.exports = {
+    readZipEntry
+};